@@ -30,7 +30,7 @@ export class Maze3D extends Maze3DModule {
   /**
    * Alternative method name for compatibility with UI controllers
    */
-  generateMaze(floorLength, floorWidth, gridWidth, gridHeight, floors) {
+  generateMaze(floorLength, floorWidth, gridWidth, gridHeight, floors, options = {}) {
     return this.generate({
       itemLength: floorLength,
       itemWidth: 1, // Default wall width
@@ -39,7 +39,8 @@ export class Maze3D extends Maze3DModule {
       floorWidth,
       width: gridWidth,
       height: gridHeight,
-      floors
+      floors,
+      ...options
     });
   }
 }
\ No newline at end of file
@@ -14,13 +14,14 @@ export class Maze extends Maze2D {
   /**
    * Legacy generateMaze method that maps to the new generate method
    */
-  generateMaze(itemLength, itemWidth, itemHeight, width, height = width) {
+  generateMaze(itemLength, itemWidth, itemHeight, width, height = width, options = {}) {
     return this.generate({
       itemLength,
       itemWidth,
       itemHeight,
       width,
-      height
+      height,
+      ...options
     });
   }
 }
\ No newline at end of file
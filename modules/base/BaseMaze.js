@@ -1,4 +1,14 @@
-import { COLORS, ANIMATION } from '../utils/constants.js';
+import { COLORS, ANIMATION, MATH } from '../utils/constants.js';
+
+/**
+ * Grid offsets for the four outer sides of a maze cell
+ */
+export const MAZE_SIDES = {
+  north: { dx: 0, dy: -1 },
+  south: { dx: 0, dy: 1 },
+  west: { dx: -1, dy: 0 },
+  east: { dx: 1, dy: 0 }
+};
 
 /**
  * Base class for maze generators with common functionality
@@ -10,6 +20,9 @@ export class BaseMaze {
     this.allPoints = [];
     this.centerPoint = null;
     this.grid = [];
+    this.openings = null;
+    this.solutionPath = [];
+    this.solutionPoints = [];
   }
 
   /**
@@ -92,10 +105,16 @@ export class BaseMaze {
       this.scene.remove(point);
     });
 
+    // Remove solution path markers
+    this.solutionPoints.forEach((point) => this.scene.remove(point));
+
     // Clear arrays
     this.walls = [];
     this.allPoints = [];
     this.grid = [];
+    this.openings = null;
+    this.solutionPath = [];
+    this.solutionPoints = [];
 
     // Remove center point if it exists
     if (this.centerPoint) {
@@ -159,28 +178,440 @@ export class BaseMaze {
 
   /**
    * Creates a unique key for a maze element to avoid duplicates
+   * Rotations are compared modulo PI, so a wall added from either of the two
+   * cells it separates gets the same key
    * @param {Array} position - [x, y, z] position
    * @param {number} rotation - Rotation value
    * @param {string} type - Element type
    * @returns {string} Unique key
    */
   getElementKey(position, rotation, type = 'wall') {
-    const precision = ANIMATION.PRECISION;
-    return `${type}_${position[0].toFixed(precision)},${position[1].toFixed(precision)},${position[2].toFixed(precision)},${rotation.toFixed(precision)}`;
+    const [x, y, z] = position.map((value) => this.formatKeyNumber(value));
+    return `${type}_${x},${y},${z},${this.formatKeyNumber(this.normalizeWallRotation(rotation))}`;
   }
 
   /**
-   * Deduplicates maze elements based on position
+   * Formats a number for element keys, so tiny negative values match zero
+   * @param {number} value - Number to format
+   * @returns {string} Fixed precision string
+   */
+  formatKeyNumber(value) {
+    const formatted = value.toFixed(ANIMATION.PRECISION);
+    return Number(formatted) === 0 ? (0).toFixed(ANIMATION.PRECISION) : formatted;
+  }
+
+  /**
+   * Wraps a wall yaw into [0, PI); a wall piece looks the same turned half way round
+   * @param {number} rotation - Yaw in radians
+   * @returns {number} Normalized yaw
+   */
+  normalizeWallRotation(rotation) {
+    const normalized = ((rotation % Math.PI) + Math.PI) % Math.PI;
+    return Math.PI - normalized < MATH.EPSILON ? 0 : normalized;
+  }
+
+  /**
+   * Deduplicates maze elements based on position, type and yaw
    */
   deduplicateElements() {
     const uniquePoints = new Map();
     this.allPoints.forEach((point) => {
-      const key = `${point.position.x.toFixed(ANIMATION.PRECISION)},${point.position.y.toFixed(ANIMATION.PRECISION)},${point.position.z.toFixed(ANIMATION.PRECISION)}`;
+      const { x, y, z } = point.position;
+      const key = this.getElementKey([x, y, z], point.rotation.y, point.userData?.type);
       uniquePoints.set(key, point);
     });
     this.allPoints = Array.from(uniquePoints.values());
   }
 
+  /**
+   * Gets the position and rotation of the wall on one side of a cell
+   * @param {number} x - Cell column
+   * @param {number} y - Cell row
+   * @param {string} side - One of the MAZE_SIDES keys
+   * @param {number} itemLength - Cell length
+   * @param {number} offsetX - World X of the grid's west edge
+   * @param {number} offsetY - World Y of the wall centre
+   * @param {number} offsetZ - World Z of the grid's north edge
+   * @returns {Object} { position: [x, y, z], rotation }
+   */
+  getCellWallPlacement(x, y, side, itemLength, offsetX, offsetY, offsetZ) {
+    const worldX = x * itemLength + offsetX + itemLength / 2;
+    const worldZ = y * itemLength + offsetZ + itemLength / 2;
+    const { dx, dy } = MAZE_SIDES[side];
+    return {
+      position: [worldX + dx * itemLength / 2, offsetY, worldZ + dy * itemLength / 2],
+      rotation: dy !== 0 ? MATH.HALF_PI : 0
+    };
+  }
+
+  /**
+   * Joins runs of touching, collinear axis-aligned walls into single longer walls
+   * @param {Object[]} walls - Wall placements { position, rotation, dimensions } one cell long
+   * @param {number} segmentLength - Cell length
+   * @returns {Object[]} Wall placements with `segments`, the number of cells each one spans
+   */
+  mergeCollinearWalls(walls, segmentLength) {
+    const lines = new Map();
+    const merged = [];
+
+    walls.forEach((wall) => {
+      const { position: [x, y, z], rotation } = wall;
+      const alongX = Math.abs(rotation - MATH.HALF_PI) < MATH.EPSILON;
+      if (!alongX && Math.abs(rotation) >= MATH.EPSILON) {
+        merged.push({ ...wall, segments: 1 });
+        return;
+      }
+
+      // Walls on the same line share their height and cross-axis coordinate
+      const key = `${alongX}_${this.formatKeyNumber(alongX ? z : x)}_${this.formatKeyNumber(y)}`;
+      if (!lines.has(key)) {
+        lines.set(key, []);
+      }
+      lines.get(key).push(wall);
+    });
+
+    lines.forEach((lineWalls) => {
+      const axis = Math.abs(lineWalls[0].rotation) < MATH.EPSILON ? 2 : 0;
+      lineWalls.sort((a, b) => a.position[axis] - b.position[axis]);
+
+      let run = [];
+      const flushRun = () => {
+        const first = run[0];
+        const last = run[run.length - 1];
+        const [width, height, length] = first.dimensions;
+        merged.push({
+          position: first.position.map((value, index) => (value + last.position[index]) / 2),
+          rotation: first.rotation,
+          dimensions: [width, height, length * run.length],
+          segments: run.length
+        });
+      };
+
+      lineWalls.forEach((wall) => {
+        const previous = run[run.length - 1];
+        if (previous && Math.abs(wall.position[axis] - previous.position[axis] - segmentLength) >= MATH.EPSILON) {
+          flushRun();
+          run = [];
+        }
+        run.push(wall);
+      });
+      flushRun();
+    });
+
+    return merged;
+  }
+
+  /**
+   * Creates wall meshes from wall placements, tagging merged walls with their cell count
+   * @param {Object[]} placements - Wall placements { position, rotation, dimensions, segments }
+   * @param {number} segmentLength - Cell length
+   */
+  createWallsFromPlacements(placements, segmentLength) {
+    placements.forEach(({ position: [x, y, z], rotation, dimensions: [width, height, length], segments = 1 }) => {
+      const wall = this.createWall(new THREE.Vector3(x, y, z), width, height, length, rotation);
+      if (segments > 1) {
+        wall.userData = { ...wall.userData, segments, segmentLength };
+      }
+      this.walls.push(wall);
+      this.allPoints.push(wall);
+    });
+  }
+
+  /**
+   * Lists every outer side of the maze where an entrance or exit could be opened
+   * @param {Object[]} cells - Cells to check
+   * @param {Function} isInside - (cell, x, y) => true when the neighbouring grid position holds a cell
+   * @returns {Object[]} Array of { cell, side }
+   */
+  getBorderOpenings(cells, isInside) {
+    const openings = [];
+    cells.forEach((cell) => {
+      Object.entries(MAZE_SIDES).forEach(([side, { dx, dy }]) => {
+        if (!isInside(cell, cell.pos.x + dx, cell.pos.y + dy)) {
+          openings.push({ cell, side });
+        }
+      });
+    });
+    return openings;
+  }
+
+  /**
+   * Resolves the entrance and exit from the opening options
+   * @param {Object[]} candidates - Border openings from getBorderOpenings
+   * @param {Object} options - { mode: 'none'|'manual'|'farthest', entrance, exit }
+   * @returns {Object|null} { entrance, exit } or null when the maze stays closed
+   */
+  resolveOpenings(candidates, options = {}) {
+    const { mode = 'none', entrance = {}, exit = {} } = options;
+
+    if (mode === 'none' || candidates.length === 0) {
+      return null;
+    }
+
+    if (mode === 'farthest') {
+      return this.findFarthestOpenings(candidates);
+    }
+
+    const resolvedEntrance = this.findBorderOpening(candidates, entrance, 'Entrance');
+    const resolvedExit = this.findBorderOpening(candidates, exit, 'Exit');
+    if (resolvedEntrance === resolvedExit) {
+      throw new Error('Entrance and exit must be on different wall segments');
+    }
+
+    return { entrance: resolvedEntrance, exit: resolvedExit };
+  }
+
+  /**
+   * Opens the entrance and exit and traces the solution route between them
+   * @param {Object[]} candidates - Border openings from getBorderOpenings
+   * @param {Object} options - Opening options passed to resolveOpenings
+   */
+  applyOpenings(candidates, options = {}) {
+    this.openings = this.resolveOpenings(candidates, options);
+    this.solutionPath = this.openings
+      ? this.findCellPath(this.openings.entrance.cell, this.openings.exit.cell)
+      : [];
+  }
+
+  /**
+   * Gets the element keys of the outer wall pieces left out for the entrance and exit
+   * @param {number} itemLength - Cell length
+   * @param {number} offsetX - World X of the grid's west edge
+   * @param {number} offsetY - World Y of the wall centre
+   * @param {number} offsetZ - World Z of the grid's north edge
+   * @param {number} floor - Floor the walls belong to
+   * @returns {string[]} Wall element keys
+   */
+  getOpeningWallKeys(itemLength, offsetX, offsetY, offsetZ, floor = 0) {
+    if (!this.openings) {
+      return [];
+    }
+
+    return [this.openings.entrance, this.openings.exit]
+      .filter(({ cell }) => (cell.pos.floor ?? 0) === floor)
+      .map(({ cell, side }) => {
+        const { position, rotation } = this.getCellWallPlacement(cell.pos.x, cell.pos.y, side, itemLength, offsetX, offsetY, offsetZ);
+        return this.getElementKey(position, rotation, 'wall');
+      });
+  }
+
+  /**
+   * Finds the border opening matching a side, position along that side and floor
+   * @param {Object[]} candidates - Border openings
+   * @param {Object} spec - { side, position, floor }
+   * @param {string} label - Name used in error messages
+   * @returns {Object} The matching opening
+   */
+  findBorderOpening(candidates, { side = 'north', position = 0, floor = 0 } = {}, label = 'Opening') {
+    // Positions and floors are 0-based here; messages use the form's 1-based numbers
+    if (!Number.isInteger(position) || position < 0) {
+      throw new Error(`${label} position must be a whole number of 1 or more`);
+    }
+    if (!Number.isInteger(floor) || floor < 0) {
+      throw new Error(`${label} floor must be a whole number of 1 or more`);
+    }
+
+    const opening = candidates.find(({ cell, side: candidateSide }) => {
+      const along = candidateSide === 'north' || candidateSide === 'south' ? cell.pos.x : cell.pos.y;
+      return candidateSide === side && along === position && (cell.pos.floor ?? 0) === floor;
+    });
+
+    if (!opening) {
+      throw new Error(`${label} position ${position + 1} is not on the ${side} border`);
+    }
+
+    return opening;
+  }
+
+  /**
+   * Picks the pair of border openings with the longest route between them
+   * @param {Object[]} candidates - Border openings
+   * @returns {Object|null} { entrance, exit }
+   */
+  findFarthestOpenings(candidates) {
+    const firstOpeningByCell = new Map();
+    candidates.forEach((opening) => {
+      if (!firstOpeningByCell.has(opening.cell)) {
+        firstOpeningByCell.set(opening.cell, opening);
+      }
+    });
+
+    const borderOpenings = Array.from(firstOpeningByCell.values());
+    let best = null;
+    let bestDistance = -1;
+
+    borderOpenings.forEach((start) => {
+      const distances = this.getCellDistances(start.cell);
+      borderOpenings.forEach((end) => {
+        const distance = distances.get(end.cell);
+        if (end !== start && distance !== undefined && distance > bestDistance) {
+          bestDistance = distance;
+          best = { entrance: start, exit: end };
+        }
+      });
+    });
+
+    return best;
+  }
+
+  /**
+   * Measures the passage distance from a cell to every reachable cell
+   * @param {Object} startCell - Cell to measure from
+   * @returns {Map} Map of cell => number of steps
+   */
+  getCellDistances(startCell) {
+    const distances = new Map([[startCell, 0]]);
+    const queue = [startCell];
+
+    for (let index = 0; index < queue.length; index++) {
+      const cell = queue[index];
+      cell.connections.forEach((next) => {
+        if (!distances.has(next)) {
+          distances.set(next, distances.get(cell) + 1);
+          queue.push(next);
+        }
+      });
+    }
+
+    return distances;
+  }
+
+  /**
+   * Finds the shortest route between two cells through carved passages
+   * @param {Object} startCell - First cell
+   * @param {Object} endCell - Last cell
+   * @returns {Object[]} Cells along the route, or an empty array if unreachable
+   */
+  findCellPath(startCell, endCell) {
+    const previous = new Map([[startCell, null]]);
+    const queue = [startCell];
+
+    for (let index = 0; index < queue.length && !previous.has(endCell); index++) {
+      queue[index].connections.forEach((next) => {
+        if (!previous.has(next)) {
+          previous.set(next, queue[index]);
+          queue.push(next);
+        }
+      });
+    }
+
+    if (!previous.has(endCell)) {
+      return [];
+    }
+
+    const path = [];
+    for (let cell = endCell; cell; cell = previous.get(cell)) {
+      path.unshift(cell);
+    }
+    return path;
+  }
+
+  /**
+   * Gets every cell of the maze
+   * @returns {Object[]} Maze cells
+   */
+  getCells() {
+    return this.grid.flat();
+  }
+
+  /**
+   * Summarises how hard the maze is to solve
+   * @returns {Object|null} { cellCount, solutionLength, solutionShare, farthestCells, deadEnds, longestDeadEnd, junctions },
+   *   or null before generation. Without an entrance and exit the solution figures are
+   *   for the route between the two farthest-apart cells, and farthestCells is true.
+   */
+  getMazeStats() {
+    const cells = this.getCells();
+    if (cells.length === 0) {
+      return null;
+    }
+
+    const farthestCells = !this.openings;
+    const solutionPath = farthestCells ? this.findFarthestCellPath(cells) : this.solutionPath;
+    const solutionCells = new Set(solutionPath);
+    const openingCells = new Set(this.openings ? [this.openings.entrance.cell, this.openings.exit.cell] : []);
+
+    // The entrance and exit cells open to the outside, so they are not dead ends
+    const deadEnds = cells.filter((cell) => cell.connections.size === 1 && !openingCells.has(cell));
+
+    return {
+      cellCount: cells.length,
+      solutionLength: solutionPath.length,
+      solutionShare: solutionPath.length / cells.length,
+      farthestCells,
+      deadEnds: deadEnds.length,
+      longestDeadEnd: deadEnds.reduce((longest, cell) => Math.max(longest, this.getDeadEndBranchLength(cell, solutionCells)), 0),
+      junctions: cells.filter((cell) => cell.connections.size >= 3).length,
+    };
+  }
+
+  /**
+   * Finds the route between the two cells farthest apart, by walking to the farthest
+   * cell from any cell and then to the farthest cell from there; exact for a perfect
+   * maze, and a long route through a braided one
+   * @param {Object[]} cells - Maze cells
+   * @returns {Object[]} Cells along the route
+   */
+  findFarthestCellPath(cells) {
+    const getFarthest = (startCell) => {
+      let farthest = startCell;
+      let farthestDistance = 0;
+      this.getCellDistances(startCell).forEach((distance, cell) => {
+        if (distance > farthestDistance) {
+          farthest = cell;
+          farthestDistance = distance;
+        }
+      });
+      return farthest;
+    };
+
+    const start = getFarthest(cells[0]);
+    return this.findCellPath(start, getFarthest(start));
+  }
+
+  /**
+   * Counts the cells of the corridor leading back from a dead end, up to the first
+   * junction or solution cell
+   * @param {Object} deadEnd - Cell with a single passage
+   * @param {Set} solutionCells - Cells on the solution route
+   * @returns {number} Branch length in cells
+   */
+  getDeadEndBranchLength(deadEnd, solutionCells) {
+    let length = 0;
+    let previous = null;
+    let cell = deadEnd;
+
+    while (cell && cell.connections.size <= 2 && !solutionCells.has(cell)) {
+      length++;
+      const next = Array.from(cell.connections).find((neighbour) => neighbour !== previous);
+      previous = cell;
+      cell = next;
+    }
+
+    return length;
+  }
+
+  /**
+   * Creates path markers for the solution route
+   * @param {Function} getCellPosition - (cell) => THREE.Vector3 for the marker
+   */
+  createSolutionMarkers(getCellPosition) {
+    this.solutionPath.forEach((cell, index) => {
+      const marker = this.createSphere(getCellPosition(cell), COLORS.MAZE_PATH, 0.4);
+      marker.userData = { type: 'path', pathIndex: index };
+      this.scene.add(marker);
+      this.solutionPoints.push(marker);
+    });
+  }
+
+  /**
+   * Gets the solution path markers
+   * @returns {THREE.Mesh[]} Array of path marker meshes
+   */
+  getSolutionPoints() {
+    return this.solutionPoints;
+  }
+
   /**
    * Validates if a cell position is within the grid bounds
    * @param {Array} grid - The grid array
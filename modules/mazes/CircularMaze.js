@@ -0,0 +1,270 @@
+import { BaseMaze } from '../base/BaseMaze.js';
+import { COLORS, DEFAULTS, MATH } from '../utils/constants.js';
+import { MAZE_ALGORITHMS, generateMazePassages } from '../utils/mazeAlgorithms.js';
+import { createRandomGenerator } from '../utils/randomization.js';
+
+/**
+ * Generates circular (polar) mazes with cells in concentric rings
+ */
+export class CircularMaze extends BaseMaze {
+  constructor(scene) {
+    super(scene);
+    this.defaultLength = DEFAULTS.CIRCULAR_MAZE.CELL_LENGTH;
+    this.defaultWidth = DEFAULTS.CIRCULAR_MAZE.WALL_WIDTH;
+    this.defaultHeight = DEFAULTS.CIRCULAR_MAZE.WALL_HEIGHT;
+  }
+
+  /**
+   * Generates a circular maze
+   * @param {Object} params - Generation parameters
+   * @returns {Array} Array of generated points
+   */
+  generate(params) {
+    const {
+      itemLength = this.defaultLength,
+      itemWidth = this.defaultWidth,
+      itemHeight = this.defaultHeight,
+      rings = DEFAULTS.CIRCULAR_MAZE.RINGS,
+      algorithm = DEFAULTS.CIRCULAR_MAZE.ALGORITHM,
+      seed = ''
+    } = params;
+
+    this.clearMaze();
+
+    // Initialize rings of cells
+    this.initializeRings(rings);
+
+    // Carve passages with the selected algorithm
+    this.generateMazePaths(algorithm, createRandomGenerator(seed));
+
+    // Create ring and spoke walls based on connections
+    this.createMazeWalls(itemLength, itemWidth, itemHeight);
+
+    // Add center marker
+    this.centerPoint = new THREE.Vector3(0, 0, 0);
+    const centerSphere = this.createSphere(this.centerPoint, COLORS.CENTER);
+    centerSphere.name = this.getCenterSphereName();
+    this.scene.add(centerSphere);
+
+    // Deduplicate elements
+    this.deduplicateElements();
+
+    return this.allPoints;
+  }
+
+  /**
+   * Initializes the rings of cells
+   * Ring 0 is a single centre cell; each outer ring subdivides whenever its cells
+   * would grow wider than the ring is deep, so cell widths stay close to the ring depth
+   * @param {number} rings - Number of rings including the centre cell
+   */
+  initializeRings(rings) {
+    this.grid = [[this.createCell(0, 0)]];
+
+    for (let ring = 1; ring < rings; ring++) {
+      const previousCount = this.grid[ring - 1].length;
+      const circumference = MATH.TWO_PI * ring;
+      const ratio = Math.max(1, Math.round(circumference / previousCount));
+      const count = previousCount * ratio;
+      this.grid.push(Array.from({ length: count }, (_, index) => this.createCell(ring, index)));
+    }
+
+    // Setup neighbours: clockwise, counter-clockwise, inward and outward
+    this.grid.forEach((cells, ring) => {
+      cells.forEach((cell, index) => {
+        const neighbours = [];
+
+        if (cells.length > 1) {
+          neighbours.push(cells[(index + 1) % cells.length]);
+          if (cells.length > 2) {
+            neighbours.push(cells[(index - 1 + cells.length) % cells.length]);
+          }
+        }
+
+        const inward = this.getInwardCell(ring, index);
+        if (inward) {
+          neighbours.push(inward);
+        }
+
+        neighbours.push(...this.getOutwardCells(ring, index));
+        cell.neighbours = neighbours;
+      });
+    });
+  }
+
+  /**
+   * Creates a maze cell
+   * @param {number} ring - Ring index (0 is the centre)
+   * @param {number} index - Cell index around the ring
+   * @returns {Object} Maze cell
+   */
+  createCell(ring, index) {
+    return {
+      pos: { ring, index },
+      connections: new Set(),
+      neighbours: [],
+      isVisited: false,
+    };
+  }
+
+  /**
+   * Gets the cell in the next ring in that shares this cell's inner arc
+   * @param {number} ring - Ring index
+   * @param {number} index - Cell index around the ring
+   * @returns {Object|null} Inward cell, or null for the centre cell
+   */
+  getInwardCell(ring, index) {
+    if (ring === 0) {
+      return null;
+    }
+
+    const ratio = this.grid[ring].length / this.grid[ring - 1].length;
+    return this.grid[ring - 1][Math.floor(index / ratio)];
+  }
+
+  /**
+   * Gets the cells in the next ring out whose inner arcs sit on this cell's outer arc
+   * @param {number} ring - Ring index
+   * @param {number} index - Cell index around the ring
+   * @returns {Object[]} Outward cells
+   */
+  getOutwardCells(ring, index) {
+    const outerRing = this.grid[ring + 1];
+    if (!outerRing) {
+      return [];
+    }
+
+    const ratio = outerRing.length / this.grid[ring].length;
+    return outerRing.slice(index * ratio, (index + 1) * ratio);
+  }
+
+  /**
+   * Generates maze paths using the selected carving algorithm
+   * Eller's treats each ring as one layer and carves outward between rings
+   * @param {string} algorithm - One of MAZE_ALGORITHMS
+   * @param {Function} random - Random generator returning [0, 1)
+   */
+  generateMazePaths(algorithm = MAZE_ALGORITHMS.RECURSIVE_BACKTRACKER, random = Math.random) {
+    generateMazePassages(this.grid.flat(), {
+      algorithm,
+      random,
+      getLayer: (cell) => cell.pos.ring
+    });
+  }
+
+  /**
+   * Creates ring and spoke walls for the maze based on cell connections
+   * @param {number} itemLength - Ring depth
+   * @param {number} itemWidth - Wall width
+   * @param {number} itemHeight - Wall height
+   */
+  createMazeWalls(itemLength, itemWidth, itemHeight) {
+    const offsetY = itemHeight / 2;
+    const uniqueWalls = new Map();
+
+    const addUniqueWall = (position, rotation, dimensions) => {
+      const key = this.getElementKey(position, rotation);
+      if (!uniqueWalls.has(key)) {
+        uniqueWalls.set(key, { position, rotation, dimensions });
+      }
+    };
+
+    this.grid.forEach((cells, ring) => {
+      const cellAngle = MATH.TWO_PI / cells.length;
+
+      cells.forEach((cell, index) => {
+        const startAngle = index * cellAngle;
+        const endAngle = startAngle + cellAngle;
+
+        // Inner arc, unless the cell opens inward
+        const inward = this.getInwardCell(ring, index);
+        if (inward && !cell.connections.has(inward)) {
+          this.addArcWalls(ring * itemLength, startAngle, endAngle, itemLength, itemWidth, itemHeight, offsetY, addUniqueWall);
+        }
+
+        // Outer boundary arc
+        if (ring === this.grid.length - 1) {
+          this.addArcWalls((ring + 1) * itemLength, startAngle, endAngle, itemLength, itemWidth, itemHeight, offsetY, addUniqueWall);
+        }
+
+        // Spoke on the clockwise side, unless the cell opens that way
+        const clockwise = cells[(index + 1) % cells.length];
+        if (cells.length > 1 && !cell.connections.has(clockwise)) {
+          const radius = (ring + 0.5) * itemLength;
+          addUniqueWall(
+            [radius * Math.cos(endAngle), offsetY, radius * Math.sin(endAngle)],
+            this.normalizeWallRotation(MATH.HALF_PI - endAngle),
+            [itemWidth, itemHeight, itemLength]
+          );
+        }
+      });
+    });
+
+    // Create wall meshes from unique walls
+    uniqueWalls.forEach(({ position: [x, y, z], rotation, dimensions: [width, height, length] }) => {
+      const wall = this.createWall(new THREE.Vector3(x, y, z), width, height, length, rotation);
+      this.walls.push(wall);
+      this.allPoints.push(wall);
+    });
+  }
+
+  /**
+   * Approximates an arc with straight wall pieces close to one cell length each
+   * @param {number} radius - Arc radius
+   * @param {number} startAngle - Start angle in radians
+   * @param {number} endAngle - End angle in radians
+   */
+  addArcWalls(radius, startAngle, endAngle, itemLength, itemWidth, itemHeight, offsetY, addUniqueWall) {
+    const arcLength = radius * (endAngle - startAngle);
+    const pieceCount = Math.max(1, Math.round(arcLength / itemLength));
+    const pieceAngle = (endAngle - startAngle) / pieceCount;
+    const chordLength = 2 * radius * Math.sin(pieceAngle / 2);
+
+    for (let piece = 0; piece < pieceCount; piece++) {
+      const midAngle = startAngle + (piece + 0.5) * pieceAngle;
+      const chordRadius = radius * Math.cos(pieceAngle / 2);
+
+      // The piece runs along the tangent at its midpoint
+      addUniqueWall(
+        [chordRadius * Math.cos(midAngle), offsetY, chordRadius * Math.sin(midAngle)],
+        this.normalizeWallRotation(-midAngle),
+        [itemWidth, itemHeight, chordLength]
+      );
+    }
+  }
+
+  /**
+   * Gets the name for the center sphere
+   * @returns {string} Center sphere name
+   */
+  getCenterSphereName() {
+    return 'centerSphereCircular';
+  }
+
+  /**
+   * Validates circular maze generation parameters
+   * @param {Object} params - Parameters to validate
+   * @returns {Object} Validation result
+   */
+  validateInput(params) {
+    const { itemLength, itemWidth, itemHeight, rings } = params;
+
+    if (itemLength <= 0 || itemLength > 20) {
+      return { valid: false, error: 'Cell length must be between 0 and 20' };
+    }
+
+    if (itemWidth <= 0 || itemWidth > 10) {
+      return { valid: false, error: 'Wall width must be between 0 and 10' };
+    }
+
+    if (itemHeight <= 0 || itemHeight > 20) {
+      return { valid: false, error: 'Wall height must be between 0 and 20' };
+    }
+
+    if (rings < 2 || rings > DEFAULTS.CIRCULAR_MAZE.MAX_RINGS) {
+      return { valid: false, error: `Rings must be between 2 and ${DEFAULTS.CIRCULAR_MAZE.MAX_RINGS}` };
+    }
+
+    return { valid: true, error: null };
+  }
+}
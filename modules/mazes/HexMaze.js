@@ -0,0 +1,203 @@
+import { BaseMaze } from '../base/BaseMaze.js';
+import { COLORS, DEFAULTS } from '../utils/constants.js';
+import { MAZE_ALGORITHMS, generateMazePassages } from '../utils/mazeAlgorithms.js';
+import { createRandomGenerator } from '../utils/randomization.js';
+
+/**
+ * Neighbour offsets for the six sides of a hex cell in odd-row offset coordinates,
+ * keyed by row parity. Sides are listed by outward angle: E, SE, SW, W, NW, NE.
+ */
+const HEX_SIDE_OFFSETS = {
+  even: [[1, 0], [0, 1], [-1, 1], [-1, 0], [-1, -1], [0, -1]],
+  odd: [[1, 0], [1, 1], [0, 1], [-1, 0], [0, -1], [1, -1]]
+};
+
+/**
+ * Generates mazes on a grid of hexagonal cells with walls at 0°, 60° and 120° yaw
+ */
+export class HexMaze extends BaseMaze {
+  constructor(scene) {
+    super(scene);
+    this.defaultLength = DEFAULTS.HEX_MAZE.WALL_LENGTH;
+    this.defaultWidth = DEFAULTS.HEX_MAZE.WALL_WIDTH;
+    this.defaultHeight = DEFAULTS.HEX_MAZE.WALL_HEIGHT;
+  }
+
+  /**
+   * Generates a hex maze
+   * @param {Object} params - Generation parameters
+   * @returns {Array} Array of generated points
+   */
+  generate(params) {
+    const {
+      itemLength = this.defaultLength,
+      itemWidth = this.defaultWidth,
+      itemHeight = this.defaultHeight,
+      width = DEFAULTS.HEX_MAZE.GRID_WIDTH,
+      height = width,
+      algorithm = DEFAULTS.HEX_MAZE.ALGORITHM,
+      seed = ''
+    } = params;
+
+    this.clearMaze();
+
+    // Initialize grid with hex cells
+    this.initializeGrid(width, height);
+
+    // Carve passages with the selected algorithm
+    this.generateMazePaths(algorithm, createRandomGenerator(seed));
+
+    // Create walls based on connections
+    this.createMazeWalls(itemLength, itemWidth, itemHeight, width, height);
+
+    // Add center marker
+    this.centerPoint = new THREE.Vector3(0, 0, 0);
+    const centerSphere = this.createSphere(this.centerPoint, COLORS.CENTER);
+    centerSphere.name = this.getCenterSphereName();
+    this.scene.add(centerSphere);
+
+    // Deduplicate elements
+    this.deduplicateElements();
+
+    return this.allPoints;
+  }
+
+  /**
+   * Initializes the grid with hex cells; odd rows are shifted half a cell east
+   * @param {number} width - Cells per row
+   * @param {number} height - Number of rows
+   */
+  initializeGrid(width, height) {
+    this.grid = Array(height)
+      .fill()
+      .map((_, y) =>
+        Array(width)
+          .fill()
+          .map((_, x) => ({
+            pos: { x, y },
+            connections: new Set(),
+            neighbours: [],
+            isVisited: false,
+          }))
+      );
+
+    this.grid.flat().forEach((cell) => {
+      cell.neighbours = this.getSideNeighbours(cell).filter((n) => n !== null);
+    });
+  }
+
+  /**
+   * Gets the neighbour across each of a cell's six sides
+   * @param {Object} cell - Hex cell
+   * @returns {Array} Six entries in HEX_SIDE_OFFSETS order, null where the side is on the border
+   */
+  getSideNeighbours(cell) {
+    const { x, y } = cell.pos;
+    const offsets = y % 2 === 0 ? HEX_SIDE_OFFSETS.even : HEX_SIDE_OFFSETS.odd;
+    return offsets.map(([dx, dy]) => (this.isValidCell(this.grid, x + dx, y + dy) ? this.grid[y + dy][x + dx] : null));
+  }
+
+  /**
+   * Generates maze paths using the selected carving algorithm
+   * @param {string} algorithm - One of MAZE_ALGORITHMS
+   * @param {Function} random - Random generator returning [0, 1)
+   */
+  generateMazePaths(algorithm = MAZE_ALGORITHMS.RECURSIVE_BACKTRACKER, random = Math.random) {
+    generateMazePassages(this.grid.flat(), { algorithm, random });
+  }
+
+  /**
+   * Creates walls for the maze based on cell connections
+   * Each wall is added from both cells it separates; getElementKey merges the pair
+   * @param {number} itemLength - Wall length (hex side length)
+   * @param {number} itemWidth - Wall width
+   * @param {number} itemHeight - Wall height
+   * @param {number} width - Cells per row
+   * @param {number} height - Number of rows
+   */
+  createMazeWalls(itemLength, itemWidth, itemHeight, width, height) {
+    const apothem = (Math.sqrt(3) / 2) * itemLength;
+    const offsetY = itemHeight / 2;
+
+    // Centre the grid on the origin
+    const spanX = 2 * apothem * (width - 1 + (height > 1 ? 0.5 : 0));
+    const spanZ = 1.5 * itemLength * (height - 1);
+    const offsetX = -spanX / 2;
+    const offsetZ = -spanZ / 2;
+
+    const uniqueWalls = new Map();
+
+    const addUniqueWall = (position, rotation, dimensions) => {
+      const key = this.getElementKey(position, rotation);
+      if (!uniqueWalls.has(key)) {
+        uniqueWalls.set(key, { position, rotation, dimensions });
+      }
+    };
+
+    this.grid.flat().forEach((cell) => {
+      const { x, y } = cell.pos;
+      const centerX = offsetX + 2 * apothem * (x + (y % 2) * 0.5);
+      const centerZ = offsetZ + 1.5 * itemLength * y;
+
+      this.getSideNeighbours(cell).forEach((neighbour, side) => {
+        if (neighbour && cell.connections.has(neighbour)) {
+          return;
+        }
+
+        // Sides face outward every 60°; the wall runs across that direction
+        const angle = (side * Math.PI) / 3;
+        addUniqueWall(
+          [centerX + apothem * Math.cos(angle), offsetY, centerZ + apothem * Math.sin(angle)],
+          this.normalizeWallRotation(-angle),
+          [itemWidth, itemHeight, itemLength]
+        );
+      });
+    });
+
+    // Create wall meshes from unique walls
+    uniqueWalls.forEach(({ position: [x, y, z], rotation, dimensions: [width, height, length] }) => {
+      const wall = this.createWall(new THREE.Vector3(x, y, z), width, height, length, rotation);
+      this.walls.push(wall);
+      this.allPoints.push(wall);
+    });
+  }
+
+  /**
+   * Gets the name for the center sphere
+   * @returns {string} Center sphere name
+   */
+  getCenterSphereName() {
+    return 'centerSphereHex';
+  }
+
+  /**
+   * Validates hex maze generation parameters
+   * @param {Object} params - Parameters to validate
+   * @returns {Object} Validation result
+   */
+  validateInput(params) {
+    const { itemLength, itemWidth, itemHeight, width, height } = params;
+
+    if (itemLength <= 0 || itemLength > 20) {
+      return { valid: false, error: 'Wall length must be between 0 and 20' };
+    }
+
+    if (itemWidth <= 0 || itemWidth > 10) {
+      return { valid: false, error: 'Wall width must be between 0 and 10' };
+    }
+
+    if (itemHeight <= 0 || itemHeight > 20) {
+      return { valid: false, error: 'Wall height must be between 0 and 20' };
+    }
+
+    if (width < 2 || width > 30) {
+      return { valid: false, error: 'Grid width must be between 2 and 30' };
+    }
+
+    if (height < 2 || height > 30) {
+      return { valid: false, error: 'Grid height must be between 2 and 30' };
+    }
+
+    return { valid: true, error: null };
+  }
+}
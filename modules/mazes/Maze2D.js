@@ -1,8 +1,10 @@
-import { BaseMaze } from '../base/BaseMaze.js';
-import { COLORS, DEFAULTS, MATH } from '../utils/constants.js';
+import { BaseMaze, MAZE_SIDES } from '../base/BaseMaze.js';
+import { COLORS, DEFAULTS } from '../utils/constants.js';
+import { MAZE_ALGORITHMS, braidMazePassages, generateMazePassages } from '../utils/mazeAlgorithms.js';
+import { createRandomGenerator } from '../utils/randomization.js';
 
 /**
- * Generates 2D mazes using depth-first search algorithm
+ * Generates 2D mazes using a selectable carving algorithm
  */
 export class Maze2D extends BaseMaze {
   constructor(scene) {
@@ -22,20 +24,45 @@ export class Maze2D extends BaseMaze {
       itemLength = this.defaultLength,
       itemWidth = this.defaultWidth,
       itemHeight = this.defaultHeight,
-      width = DEFAULTS.MAZE.GRID_WIDTH,
-      height = width
+      mask = null,
+      width: gridWidth = DEFAULTS.MAZE.GRID_WIDTH,
+      height: gridHeight = gridWidth,
+      algorithm = DEFAULTS.MAZE.ALGORITHM,
+      seed = '',
+      braid = DEFAULTS.MAZE.BRAID,
+      loops = DEFAULTS.MAZE.LOOPS,
+      mergeWalls = DEFAULTS.MAZE.MERGE_WALLS,
+      openings = {}
     } = params;
 
+    // A mask sets the grid size itself
+    const width = mask ? mask[0].length : gridWidth;
+    const height = mask ? mask.length : gridHeight;
+
     this.clearMaze();
 
-    // Initialize grid with cells
-    this.initializeGrid(width, height);
+    // Initialize grid with cells, leaving out cells outside the mask
+    this.initializeGrid(width, height, mask);
+
+    // Carve passages with the selected algorithm
+    const random = createRandomGenerator(seed);
+    this.generateMazePaths(algorithm, random);
+
+    // Remove dead ends and add loops so there is more than one route
+    braidMazePassages(this.getCells(), { braid, loops, random });
 
-    // Generate maze using depth-first search
-    this.generateMazePaths();
+    // Pick the entrance and exit and trace the route between them
+    this.applyOpenings(this.getOpeningCandidates(), openings);
 
     // Create walls based on connections
-    this.createMazeWalls(itemLength, itemWidth, itemHeight, width, height);
+    this.createMazeWalls(itemLength, itemWidth, itemHeight, width, height, mergeWalls);
+
+    // Mark the solution route at floor level
+    this.createSolutionMarkers((cell) => new THREE.Vector3(
+      (cell.pos.x - width / 2) * itemLength + itemLength / 2,
+      0,
+      (cell.pos.y - height / 2) * itemLength + itemLength / 2
+    ));
 
     // Add center marker
     this.centerPoint = new THREE.Vector3(0, 0, 0);
@@ -52,14 +79,19 @@ export class Maze2D extends BaseMaze {
    * Initializes the grid with cells
    * @param {number} width - Grid width
    * @param {number} height - Grid height
+   * @param {boolean[][]|null} mask - Optional [row][column] mask; cells marked false are left empty (null)
    */
-  initializeGrid(width, height) {
+  initializeGrid(width, height, mask = null) {
+    if (mask && mask.flat().filter(Boolean).length < 2) {
+      throw new Error('The maze shape must contain at least 2 cells');
+    }
+
     this.grid = Array(height)
       .fill()
       .map((_, y) =>
         Array(width)
           .fill()
-          .map((_, x) => ({
+          .map((_, x) => (mask && !mask[y][x] ? null : {
             pos: { x, y },
             connections: new Set(),
             neighbours: [],
@@ -71,6 +103,8 @@ export class Maze2D extends BaseMaze {
     for (let y = 0; y < height; y++) {
       for (let x = 0; x < width; x++) {
         const cell = this.grid[y][x];
+        if (!cell) continue;
+
         const offsets = [
           [-1, 0], // Left
           [1, 0],  // Right
@@ -82,7 +116,7 @@ export class Maze2D extends BaseMaze {
           .map(([dx, dy]) => {
             const newX = x + dx;
             const newY = y + dy;
-            return this.isValidCell(this.grid, newX, newY) ? this.grid[newY][newX] : null;
+            return this.getCell(newX, newY);
           })
           .filter((n) => n !== null);
       }
@@ -90,127 +124,86 @@ export class Maze2D extends BaseMaze {
   }
 
   /**
-   * Generates maze paths using depth-first search
+   * Gets the cell at a grid position
+   * @param {number} x - Grid column
+   * @param {number} y - Grid row
+   * @returns {Object|null} The cell, or null outside the grid or the mask
    */
-  generateMazePaths() {
-    const startCell = this.grid[0][0];
-    startCell.isVisited = true;
-    let currentCell = startCell;
-    const stack = [startCell];
-
-    while (stack.length > 0) {
-      const unvisitedNeighbours = currentCell.neighbours.filter((n) => !n.isVisited);
-
-      if (unvisitedNeighbours.length > 0) {
-        // Choose a random unvisited neighbour
-        const nextCell = unvisitedNeighbours[Math.floor(Math.random() * unvisitedNeighbours.length)];
-
-        // Create bidirectional connection
-        currentCell.connections.add(nextCell);
-        nextCell.connections.add(currentCell);
-
-        // Mark as visited and move to next cell
-        nextCell.isVisited = true;
-        stack.push(nextCell);
-        currentCell = nextCell;
-      } else {
-        // Backtrack
-        currentCell = stack.pop();
-      }
-    }
+  getCell(x, y) {
+    return this.isValidCell(this.grid, x, y) ? this.grid[y][x] : null;
+  }
+
+  /**
+   * Gets every cell of the maze in row-major order, skipping masked-out positions
+   * @returns {Object[]} Maze cells
+   */
+  getCells() {
+    return this.grid.flat().filter((cell) => cell !== null);
+  }
+
+  /**
+   * Generates maze paths using the selected carving algorithm
+   * @param {string} algorithm - One of MAZE_ALGORITHMS
+   * @param {Function} random - Random generator returning [0, 1)
+   */
+  generateMazePaths(algorithm = MAZE_ALGORITHMS.RECURSIVE_BACKTRACKER, random = Math.random) {
+    generateMazePassages(this.getCells(), { algorithm, random });
+  }
+
+  /**
+   * Gets every outer wall segment that can hold the entrance or exit
+   * @returns {Object[]} Array of { cell, side }
+   */
+  getOpeningCandidates() {
+    return this.getBorderOpenings(this.getCells(), (cell, x, y) => this.getCell(x, y) !== null);
   }
 
   /**
    * Creates walls for the maze based on cell connections
+   * Every cell side without a passage gets a wall; sides facing outside the grid
+   * or the mask form the outer wall, so it follows an irregular boundary
    * @param {number} itemLength - Cell length
    * @param {number} itemWidth - Wall width
    * @param {number} itemHeight - Wall height
    * @param {number} width - Grid width
    * @param {number} height - Grid height
+   * @param {boolean} mergeWalls - Join straight runs of walls into longer walls
    */
-  createMazeWalls(itemLength, itemWidth, itemHeight, width, height) {
-    const mazeWidth = width * itemLength;
-    const mazeDepth = height * itemLength;
-    const offsetX = -mazeWidth / 2;
-    const offsetZ = -mazeDepth / 2;
+  createMazeWalls(itemLength, itemWidth, itemHeight, width, height, mergeWalls = false) {
+    const offsetX = -(width * itemLength) / 2;
+    const offsetZ = -(height * itemLength) / 2;
     const offsetY = itemHeight / 2;
 
     // Use a Map to store unique walls
     const uniqueWalls = new Map();
 
+    // Leave out the outer wall pieces at the entrance and exit
+    const openingKeys = new Set(this.getOpeningWallKeys(itemLength, offsetX, offsetY, offsetZ));
+
     const addUniqueWall = (position, rotation, dimensions) => {
       const key = this.getElementKey(position, rotation);
-      if (!uniqueWalls.has(key)) {
+      if (!uniqueWalls.has(key) && !openingKeys.has(key)) {
         uniqueWalls.set(key, { position, rotation, dimensions });
       }
     };
 
-    // Create internal walls
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
-        const cell = this.grid[y][x];
-        const worldX = x * itemLength + offsetX + itemLength / 2;
-        const worldZ = y * itemLength + offsetZ + itemLength / 2;
+    this.getCells().forEach((cell) => {
+      const { x, y } = cell.pos;
 
-        // Add walls where there are no connections
-        const hasNorth = cell.connections.has(this.grid[y - 1]?.[x]);
-        const hasEast = cell.connections.has(this.grid[y]?.[x + 1]);
-        const hasSouth = cell.connections.has(this.grid[y + 1]?.[x]);
-        const hasWest = cell.connections.has(this.grid[y]?.[x - 1]);
-
-        if (!hasNorth && y > 0) {
-          addUniqueWall([worldX, offsetY, worldZ - itemLength / 2], MATH.HALF_PI, [itemWidth, itemHeight, itemLength]);
-        }
-        if (!hasEast && x < width - 1) {
-          addUniqueWall([worldX + itemLength / 2, offsetY, worldZ], 0, [itemWidth, itemHeight, itemLength]);
-        }
-        if (!hasSouth && y < height - 1) {
-          addUniqueWall([worldX, offsetY, worldZ + itemLength / 2], MATH.HALF_PI, [itemWidth, itemHeight, itemLength]);
+      Object.entries(MAZE_SIDES).forEach(([side, { dx, dy }]) => {
+        const neighbour = this.getCell(x + dx, y + dy);
+        if (neighbour && cell.connections.has(neighbour)) {
+          return;
         }
-        if (!hasWest && x > 0) {
-          addUniqueWall([worldX - itemLength / 2, offsetY, worldZ], 0, [itemWidth, itemHeight, itemLength]);
-        }
-      }
-    }
 
-    // Create outer walls
-    this.createOuterWalls(width, height, itemLength, itemWidth, itemHeight, offsetX, offsetY, offsetZ, mazeWidth, mazeDepth, addUniqueWall);
-
-    // Create wall meshes from unique walls
-    uniqueWalls.forEach(({ position: [x, y, z], rotation, dimensions: [width, height, length] }) => {
-      const wall = this.createWall(new THREE.Vector3(x, y, z), width, height, length, rotation);
-      this.walls.push(wall);
-      this.allPoints.push(wall);
+        const { position, rotation } = this.getCellWallPlacement(x, y, side, itemLength, offsetX, offsetY, offsetZ);
+        addUniqueWall(position, rotation, [itemWidth, itemHeight, itemLength]);
+      });
     });
-  }
 
-  /**
-   * Creates the outer walls of the maze
-   */
-  createOuterWalls(width, height, itemLength, itemWidth, itemHeight, offsetX, offsetY, offsetZ, mazeWidth, mazeDepth, addUniqueWall) {
-    // North wall segments
-    for (let x = 0; x < width; x++) {
-      const worldX = x * itemLength + offsetX + itemLength / 2;
-      addUniqueWall([worldX, offsetY, offsetZ], MATH.HALF_PI, [itemWidth, itemHeight, itemLength]);
-    }
-
-    // South wall segments
-    for (let x = 0; x < width; x++) {
-      const worldX = x * itemLength + offsetX + itemLength / 2;
-      addUniqueWall([worldX, offsetY, offsetZ + mazeDepth], MATH.HALF_PI, [itemWidth, itemHeight, itemLength]);
-    }
-
-    // West wall segments
-    for (let y = 0; y < height; y++) {
-      const worldZ = y * itemLength + offsetZ + itemLength / 2;
-      addUniqueWall([offsetX, offsetY, worldZ], 0, [itemWidth, itemHeight, itemLength]);
-    }
-
-    // East wall segments
-    for (let y = 0; y < height; y++) {
-      const worldZ = y * itemLength + offsetZ + itemLength / 2;
-      addUniqueWall([offsetX + mazeWidth, offsetY, worldZ], 0, [itemWidth, itemHeight, itemLength]);
-    }
+    // Create wall meshes from unique walls, joining straight runs when requested
+    const placements = Array.from(uniqueWalls.values());
+    this.createWallsFromPlacements(mergeWalls ? this.mergeCollinearWalls(placements, itemLength) : placements, itemLength);
   }
 
   /**
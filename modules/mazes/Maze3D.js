@@ -1,13 +1,16 @@
-import { BaseMaze } from '../base/BaseMaze.js';
+import { BaseMaze, MAZE_SIDES } from '../base/BaseMaze.js';
 import { COLORS, DEFAULTS, MATH } from '../utils/constants.js';
+import { MAZE_ALGORITHMS, braidMazePassages, generateMazePassages } from '../utils/mazeAlgorithms.js';
+import { createRandomGenerator } from '../utils/randomization.js';
 
 /**
- * Generates 3D mazes with multiple floors using depth-first search algorithm
+ * Generates 3D mazes with multiple floors using a selectable carving algorithm
  */
 export class Maze3D extends BaseMaze {
   constructor(scene) {
     super(scene);
     this.floors = [];
+    this.stairs = [];
     this.defaultLength = DEFAULTS.MAZE.CELL_LENGTH;
     this.defaultWidth = DEFAULTS.MAZE.WALL_WIDTH;
     this.defaultHeight = DEFAULTS.MAZE.WALL_HEIGHT;
@@ -29,7 +32,14 @@ export class Maze3D extends BaseMaze {
       floorWidth = this.defaultFloorWidth,
       width = DEFAULTS.MAZE_3D.GRID_WIDTH,
       height = width,
-      floors = DEFAULTS.MAZE_3D.FLOORS
+      floors = DEFAULTS.MAZE_3D.FLOORS,
+      algorithm = DEFAULTS.MAZE_3D.ALGORITHM,
+      seed = '',
+      braid = DEFAULTS.MAZE_3D.BRAID,
+      loops = DEFAULTS.MAZE_3D.LOOPS,
+      mergeWalls = DEFAULTS.MAZE_3D.MERGE_WALLS,
+      stairs = DEFAULTS.MAZE_3D.STAIRS,
+      openings = {}
     } = params;
 
     this.clearMaze();
@@ -37,14 +47,40 @@ export class Maze3D extends BaseMaze {
     // Initialize 3D grid
     this.initializeGrid3D(width, height, floors);
 
-    // Generate maze using 3D depth-first search
-    this.generateMazePaths3D(width, height, floors);
+    // Carve passages with the selected algorithm
+    const random = createRandomGenerator(seed);
+    this.generateMazePaths3D(width, height, floors, algorithm, random);
 
     // Ensure full connectivity
     this.ensureFullConnectivity(width, height, floors);
 
+    // Remove dead ends and add loops on every floor, opening walls only within a floor
+    this.grid.forEach((floorCells) => {
+      braidMazePassages(floorCells.flat(), {
+        braid,
+        loops,
+        random,
+        canLink: (cell, neighbour) => cell.pos.floor === neighbour.pos.floor
+      });
+    });
+
+    // Pick the entrance and exit and trace the route between them
+    this.applyOpenings(this.getOpeningCandidates(), openings);
+
     // Create walls and floors
-    this.createMazeElements(itemLength, itemWidth, itemHeight, floorLength, floorWidth, width, height, floors);
+    this.createMazeElements(itemLength, itemWidth, itemHeight, floorLength, floorWidth, width, height, floors, mergeWalls);
+
+    // Place climbable stairs at the openings between floors
+    if (stairs) {
+      this.createStairs(itemLength, itemHeight, width, height, floors);
+    }
+
+    // Mark the solution route at the base of each floor
+    this.createSolutionMarkers((cell) => new THREE.Vector3(
+      (cell.pos.x - width / 2) * itemLength + itemLength / 2,
+      cell.pos.floor * itemHeight,
+      (cell.pos.y - height / 2) * itemLength + itemLength / 2
+    ));
 
     // Add center marker
     this.centerPoint = new THREE.Vector3(0, 0, 0);
@@ -109,40 +145,20 @@ export class Maze3D extends BaseMaze {
   }
 
   /**
-   * Generates maze paths using 3D depth-first search
+   * Generates maze paths using the selected carving algorithm
+   * Eller's treats each floor as one layer and carves upward between floors
    * @param {number} width - Grid width
    * @param {number} height - Grid height
    * @param {number} floors - Number of floors
+   * @param {string} algorithm - One of MAZE_ALGORITHMS
+   * @param {Function} random - Random generator returning [0, 1)
    */
-  generateMazePaths3D(width, height, floors) {
-    const startCell = this.grid[0][0][0];
-    startCell.isVisited = true;
-    let currentCell = startCell;
-    const stack = [startCell];
-    let visitedCount = 1;
-    const totalCells = width * height * floors;
-
-    while (stack.length > 0 && visitedCount < totalCells) {
-      const unvisitedNeighbours = currentCell.neighbours.filter((n) => !n.isVisited);
-
-      if (unvisitedNeighbours.length > 0) {
-        // Choose a random unvisited neighbour
-        const nextCell = unvisitedNeighbours[Math.floor(Math.random() * unvisitedNeighbours.length)];
-
-        // Create bidirectional connection
-        currentCell.connections.add(nextCell);
-        nextCell.connections.add(currentCell);
-
-        // Mark as visited and move to next cell
-        nextCell.isVisited = true;
-        visitedCount++;
-        stack.push(nextCell);
-        currentCell = nextCell;
-      } else {
-        // Backtrack
-        currentCell = stack.pop();
-      }
-    }
+  generateMazePaths3D(width, height, floors, algorithm = MAZE_ALGORITHMS.RECURSIVE_BACKTRACKER, random = Math.random) {
+    generateMazePassages(this.grid.flat(2), {
+      algorithm,
+      random,
+      getLayer: (cell) => cell.pos.floor
+    });
   }
 
   /**
@@ -200,10 +216,29 @@ export class Maze3D extends BaseMaze {
     }
   }
 
+  /**
+   * Gets every cell of the maze across all floors
+   * @returns {Object[]} Maze cells
+   */
+  getCells() {
+    return this.grid.flat(2);
+  }
+
+  /**
+   * Gets every outer wall segment, on any floor, that can hold the entrance or exit
+   * @returns {Object[]} Array of { cell, side }
+   */
+  getOpeningCandidates() {
+    return this.getBorderOpenings(
+      this.grid.flat(2),
+      (cell, x, y) => this.isValidCell3D(this.grid, x, y, cell.pos.floor)
+    );
+  }
+
   /**
    * Creates walls and floors for the maze
    */
-  createMazeElements(itemLength, itemWidth, itemHeight, floorLength, floorWidth, width, height, floors) {
+  createMazeElements(itemLength, itemWidth, itemHeight, floorLength, floorWidth, width, height, floors, mergeWalls = false) {
     const mazeWidth = width * itemLength;
     const mazeDepth = height * itemLength;
     const offsetX = -mazeWidth / 2;
@@ -213,9 +248,12 @@ export class Maze3D extends BaseMaze {
     const uniqueWalls = new Map();
     const uniqueFloors = new Map();
 
+    // Outer wall pieces left out for the entrance and exit
+    const openingKeys = new Set();
+
     const addUniqueWall = (position, rotation, dimensions) => {
       const key = this.getElementKey(position, rotation, 'wall');
-      if (!uniqueWalls.has(key)) {
+      if (!uniqueWalls.has(key) && !openingKeys.has(key)) {
         uniqueWalls.set(key, { position, rotation, dimensions, type: 'wall' });
       }
     };
@@ -231,6 +269,7 @@ export class Maze3D extends BaseMaze {
     for (let floor = 0; floor < floors; floor++) {
       const floorY = floor * itemHeight;
       const offsetY = floorY + itemHeight / 2;
+      this.getOpeningWallKeys(itemLength, offsetX, offsetY, offsetZ, floor).forEach((key) => openingKeys.add(key));
 
       // Create internal walls
       for (let y = 0; y < height; y++) {
@@ -276,12 +315,9 @@ export class Maze3D extends BaseMaze {
       this.createOuterWalls3D(width, height, itemLength, itemWidth, itemHeight, offsetX, offsetY, offsetZ, mazeWidth, mazeDepth, addUniqueWall);
     }
 
-    // Create wall meshes from unique walls
-    uniqueWalls.forEach(({ position: [x, y, z], rotation, dimensions: [width, height, length] }) => {
-      const wall = this.createWall(new THREE.Vector3(x, y, z), width, height, length, rotation);
-      this.walls.push(wall);
-      this.allPoints.push(wall);
-    });
+    // Create wall meshes from unique walls, joining straight runs when requested
+    const placements = Array.from(uniqueWalls.values());
+    this.createWallsFromPlacements(mergeWalls ? this.mergeCollinearWalls(placements, itemLength) : placements, itemLength);
 
     // Create floor meshes from unique floors
     uniqueFloors.forEach(({ position: [x, y, z], rotation, dimensions: [length, height, width] }) => {
@@ -291,6 +327,96 @@ export class Maze3D extends BaseMaze {
     });
   }
 
+  /**
+   * Creates a stair piece in every lower cell that opens to the floor above
+   * @param {number} itemLength - Cell length
+   * @param {number} itemHeight - Floor-to-floor height
+   * @param {number} width - Grid width
+   * @param {number} height - Grid height
+   * @param {number} floors - Number of floors
+   */
+  createStairs(itemLength, itemHeight, width, height, floors) {
+    const offsetX = -(width * itemLength) / 2;
+    const offsetZ = -(height * itemLength) / 2;
+
+    for (let floor = 0; floor < floors - 1; floor++) {
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const cell = this.grid[floor][y][x];
+          if (!cell.connections.has(this.grid[floor + 1][y][x])) continue;
+
+          const position = new THREE.Vector3(
+            x * itemLength + offsetX + itemLength / 2,
+            floor * itemHeight + itemHeight / 2,
+            y * itemLength + offsetZ + itemLength / 2
+          );
+          const stair = this.createStair(position, itemLength, itemHeight, this.getStairYaw(cell, this.grid[floor + 1][y][x]));
+          this.stairs.push(stair);
+          this.allPoints.push(stair);
+        }
+      }
+    }
+  }
+
+  /**
+   * Gets the yaw that makes a stair climb along the corridor: away from the cell the
+   * lower end is entered from, or else toward the cell the upper end leads into
+   * @param {Object} lowerCell - Cell at the foot of the stair
+   * @param {Object} upperCell - Cell at the top of the stair
+   * @returns {number} Y-axis rotation; 0 climbs toward +Z
+   */
+  getStairYaw(lowerCell, upperCell) {
+    const findSameFloorSide = (cell) => Object.values(MAZE_SIDES).find(({ dx, dy }) => {
+      const { x, y, floor } = cell.pos;
+      return cell.connections.has(this.grid[floor][y + dy]?.[x + dx]);
+    });
+
+    const entrySide = findSameFloorSide(lowerCell);
+    if (entrySide) {
+      return Math.atan2(-entrySide.dx, -entrySide.dy);
+    }
+
+    const exitSide = findSameFloorSide(upperCell);
+    return exitSide ? Math.atan2(exitSide.dx, exitSide.dy) : 0;
+  }
+
+  /**
+   * Creates a stair piece as a ramp rising one floor over one cell
+   * @param {THREE.Vector3} position - Stair centre
+   * @param {number} run - Horizontal length of the climb
+   * @param {number} rise - Height of the climb
+   * @param {number} yaw - Y-axis rotation of the climb direction
+   * @returns {THREE.Mesh} The created stair mesh
+   */
+  createStair(position, run, rise, yaw) {
+    const geometry = new THREE.BoxGeometry(DEFAULTS.MAZE_3D.STAIR_WIDTH, DEFAULTS.MAZE_3D.STAIR_THICKNESS, Math.hypot(run, rise));
+    const material = new THREE.MeshPhongMaterial({
+      color: COLORS.STAIR,
+      flatShading: true,
+      shininess: 0,
+      emissive: COLORS.STAIR_EMISSIVE,
+      specular: COLORS.STAIR_SPECULAR,
+    });
+
+    const stair = new THREE.Mesh(geometry, material);
+    stair.position.copy(position);
+    // Yaw after tilting so rotation.y stays the climb direction
+    stair.rotation.order = 'YXZ';
+    stair.rotation.y = yaw;
+    stair.rotation.x = -Math.atan2(rise, run);
+    stair.userData = { type: 'stair', stairYaw: yaw };
+
+    const edges = new THREE.EdgesGeometry(geometry);
+    const edgesMaterial = new THREE.LineBasicMaterial({
+      color: COLORS.EDGE,
+      linewidth: 2,
+    });
+    stair.add(new THREE.LineSegments(edges, edgesMaterial));
+
+    this.scene.add(stair);
+    return stair;
+  }
+
   /**
    * Creates outer walls for a floor
    */
@@ -377,6 +503,9 @@ export class Maze3D extends BaseMaze {
     });
     this.floors = [];
 
+    // Stairs are also in allPoints, so the parent clear removes them from the scene
+    this.stairs = [];
+
     // Call parent clear method
     super.clearMaze();
   }
@@ -398,6 +527,9 @@ export class Maze3D extends BaseMaze {
     if (element.userData.type === 'floor') {
       return 0x63dbff; // Light blue for floors
     }
+    if (element.userData.type === 'stair') {
+      return 0x7dff9a; // Light green for stairs
+    }
     return COLORS.HIGHLIGHT;
   }
 
@@ -410,6 +542,9 @@ export class Maze3D extends BaseMaze {
     if (element.userData.type === 'floor') {
       return COLORS.FLOOR;
     }
+    if (element.userData.type === 'stair') {
+      return COLORS.STAIR;
+    }
     return COLORS.WALL;
   }
 
@@ -477,4 +612,12 @@ export class Maze3D extends BaseMaze {
   getFloorCount() {
     return this.floors.length;
   }
+
+  /**
+   * Gets the number of stairs
+   * @returns {number} Stair count
+   */
+  getStairCount() {
+    return this.stairs.length;
+  }
 }
\ No newline at end of file
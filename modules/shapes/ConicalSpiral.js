@@ -38,6 +38,47 @@ export class ConicalSpiral extends Spiral {
     // Store start point for calculations (no visual sphere, will be part of spiral)
     this.startPoint = startPoint;
 
+    const spiralPoints = this.getSpiralPoints({
+      centerPoint,
+      startPoint,
+      direction,
+      segments,
+      turns,
+      isUpright,
+      height,
+      startFromCenter,
+      planeAngle,
+      planeAxis
+    });
+    applyRandomDisplacementToVectors(spiralPoints, randomDisplacement);
+
+    // Create spheres for the rotated points
+    spiralPoints.forEach((point) => {
+      const sphere = this.createSphere(point, COLORS.POINT);
+      this.allPoints.push(sphere);
+    });
+  }
+
+  /**
+   * Calculates the conical spiral's point positions, plane rotation included, without
+   * adding anything to the scene; other shapes use them as a guide curve
+   * @param {Object} params - Same as generate, without randomDisplacement
+   * @returns {THREE.Vector3[]} Spiral points from the start point inward
+   */
+  getSpiralPoints(params) {
+    const {
+      centerPoint = new THREE.Vector3(DEFAULTS.SPIRAL.CENTER.x, DEFAULTS.SPIRAL.CENTER.y, DEFAULTS.SPIRAL.CENTER.z),
+      startPoint = new THREE.Vector3(DEFAULTS.SPIRAL.START.x, DEFAULTS.SPIRAL.START.y, DEFAULTS.SPIRAL.START.z),
+      direction = DEFAULTS.SPIRAL.DIRECTION,
+      segments = DEFAULTS.CONICAL_SPIRAL.SEGMENTS,
+      turns = DEFAULTS.SPIRAL.TURNS,
+      isUpright = DEFAULTS.CONICAL_SPIRAL.ORIENTATION === 'upright',
+      height = DEFAULTS.CONICAL_SPIRAL.HEIGHT,
+      startFromCenter = DEFAULTS.CONICAL_SPIRAL.START_POINT === 'center',
+      planeAngle = 0,
+      planeAxis = 'x'
+    } = params;
+
     // Calculate spiral parameters
     const startRadius = new THREE.Vector2(
       startPoint.x - centerPoint.x,
@@ -71,13 +112,7 @@ export class ConicalSpiral extends Spiral {
 
     // Apply plane rotation
     this.applyPlaneRotation(spiralPoints, centerPoint, planeAngle, planeAxis);
-    applyRandomDisplacementToVectors(spiralPoints, randomDisplacement);
-
-    // Create spheres for the rotated points
-    spiralPoints.forEach((point) => {
-      const sphere = this.createSphere(point, COLORS.POINT);
-      this.allPoints.push(sphere);
-    });
+    return spiralPoints;
   }
 
   /**
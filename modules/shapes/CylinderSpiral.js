@@ -33,8 +33,36 @@ export class CylinderSpiral extends Spiral {
     // Display the center point
     this.centerPoint = this.createSphere(center, COLORS.CENTER);
 
+    const spiralPoints = this.getSpiralPoints({ center, radius, height, segments, turns, direction, planeAngle, planeAxis });
+    applyRandomDisplacementToVectors(spiralPoints, randomDisplacement);
+
+    // Create spheres for the rotated points
+    spiralPoints.forEach((point) => {
+      const sphere = this.createSphere(point, COLORS.POINT);
+      this.allPoints.push(sphere);
+    });
+  }
+
+  /**
+   * Calculates the cylinder spiral's point positions, plane rotation included, without
+   * adding anything to the scene; other shapes use them as a guide curve
+   * @param {Object} params - Same as generate, without randomDisplacement
+   * @returns {THREE.Vector3[]} Spiral points from bottom to top
+   */
+  getSpiralPoints(params) {
+    const {
+      center = new THREE.Vector3(DEFAULTS.SPIRAL.CENTER.x, DEFAULTS.SPIRAL.CENTER.y, DEFAULTS.SPIRAL.CENTER.z),
+      radius = DEFAULTS.CYLINDER_SPIRAL.RADIUS,
+      height = DEFAULTS.CYLINDER_SPIRAL.HEIGHT,
+      segments = DEFAULTS.CYLINDER_SPIRAL.SEGMENTS,
+      turns = DEFAULTS.SPIRAL.TURNS,
+      direction = DEFAULTS.SPIRAL.DIRECTION,
+      planeAngle = 0,
+      planeAxis = 'x'
+    } = params;
+
     if (segments <= 0) {
-      return;
+      return [];
     }
 
     // Calculate total spiral length
@@ -60,13 +88,7 @@ export class CylinderSpiral extends Spiral {
 
     // Apply plane rotation
     this.applyPlaneRotation(spiralPoints, center, planeAngle, planeAxis);
-    applyRandomDisplacementToVectors(spiralPoints, randomDisplacement);
-
-    // Create spheres for the rotated points
-    spiralPoints.forEach((point) => {
-      const sphere = this.createSphere(point, COLORS.POINT);
-      this.allPoints.push(sphere);
-    });
+    return spiralPoints;
   }
 
   /**
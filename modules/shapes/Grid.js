@@ -1,6 +1,6 @@
 import { BaseShape } from '../base/BaseShape.js';
 import { COLORS, DEFAULTS } from '../utils/constants.js';
-import { applyRandomDisplacementToVectors } from '../utils/randomization.js';
+import { applyRandomDisplacementToVectors, createRandomGenerator } from '../utils/randomization.js';
 
 /**
  * Generates grid patterns with points arranged in rows and columns
@@ -23,7 +23,8 @@ export class Grid extends BaseShape {
       spacing = DEFAULTS.GRID.SPACING,
       stepAmount = DEFAULTS.GRID.STEP_AMOUNT,
       floors = DEFAULTS.GRID.FLOORS,
-      randomDisplacement = null
+      randomDisplacement = null,
+      seed = ''
     } = params;
 
     this.clearPoints();
@@ -36,8 +37,9 @@ export class Grid extends BaseShape {
     const halfHeight = ((rows - 1) * spacing) / 2;
 
     // Generate a random starting corner
-    const startRow = Math.random() < 0.5 ? 0 : rows - 1;
-    const startCol = Math.random() < 0.5 ? 0 : columns - 1;
+    const random = createRandomGenerator(seed);
+    const startRow = random() < 0.5 ? 0 : rows - 1;
+    const startCol = random() < 0.5 ? 0 : columns - 1;
     const path = this.generateGridPath(rows, columns, floors, [startRow, startCol, 0]);
     const points = [];
 
@@ -1,8 +1,37 @@
 import { BaseShape } from '../base/BaseShape.js';
 import { COLORS, DEFAULTS } from '../utils/constants.js';
+import { createRandomGenerator } from '../utils/randomization.js';
 
 /**
- * Generates random points inside a rectangular volume.
+ * Jump chain branch kinds, keyed by the particleRole their points carry
+ */
+const BRANCH_COLORS = {
+  sideRoute: COLORS.PARTICLE_SIDE_ROUTE,
+  deadEnd: COLORS.PARTICLE_DEAD_END,
+  shortcut: COLORS.PARTICLE_SHORTCUT,
+};
+const BRANCH_NAMES = {
+  sideRoute: 'side route(s)',
+  deadEnd: 'dead end(s)',
+  shortcut: 'shortcut(s)',
+};
+
+/**
+ * Round volumes, which fill the box's X size and depth at their widest. Each gives
+ * its horizontal radius, as a fraction of that, at a height fraction t from the
+ * bottom (0) to the top (1) of the box.
+ */
+const VOLUME_PROFILES = {
+  cylinder: () => 1,
+  sphere: (t) => Math.sqrt(Math.max(0, 1 - (2 * t - 1) ** 2)),
+  dome: (t) => Math.sqrt(Math.max(0, 1 - t * t)),
+  cone: (t) => 1 - t,
+};
+
+/**
+ * Generates random points inside a box, cylinder, sphere, dome or cone, or a
+ * chain of jumps through it, or along a guide curve, that can be steered to a
+ * goal and can branch into side routes, dead ends and shortcuts.
  */
 export class ParticleField extends BaseShape {
   constructor(scene) {
@@ -10,6 +39,8 @@ export class ParticleField extends BaseShape {
     this.shapeType = 'particleField';
     this.boundaryBox = null;
     this.generationWarning = '';
+    this.chainReport = null;
+    this.random = Math.random;
   }
 
   generate(params) {
@@ -32,7 +63,19 @@ export class ParticleField extends BaseShape {
       objectClearanceEnabled = false,
       objectClearanceRadius = 0,
       objectClearanceHeight = 0,
+      startPoint = null,
+      goalPoint = null,
+      difficulty = '',
+      rampDifficulty = false,
+      guidePoints = null,
+      guideTolerance = DEFAULTS.PARTICLE_FIELD.GUIDE_TOLERANCE,
+      sideRoutes = 0,
+      deadEnds = 0,
+      shortcuts = 0,
+      volume = DEFAULTS.PARTICLE_FIELD.VOLUME,
+      seed = '',
     } = options;
+    const guide = connected && guidePoints ? this.createGuide(guidePoints, guideTolerance) : null;
 
     const validation = this.validateInput({
       width,
@@ -44,6 +87,15 @@ export class ParticleField extends BaseShape {
       objectClearanceEnabled,
       objectClearanceRadius,
       objectClearanceHeight,
+      centerPoint,
+      startPoint,
+      goalPoint,
+      difficulty,
+      guide,
+      sideRoutes,
+      deadEnds,
+      shortcuts,
+      volume,
     });
     if (!validation.valid) {
       throw new Error(validation.error);
@@ -51,8 +103,16 @@ export class ParticleField extends BaseShape {
 
     this.clearPoints();
     this.generationWarning = '';
+    this.random = createRandomGenerator(seed);
     this.centerPoint = this.createSphere(centerPoint, COLORS.CENTER, 0.6);
-    this.createBoundaryBox(centerPoint, width, depth, height);
+    const bounds = this.createBounds(centerPoint, width, depth, height, volume);
+    if (guide) {
+      this.createGuideLine(guide);
+    } else if (VOLUME_PROFILES[volume]) {
+      this.createVolumeWireframe(bounds);
+    } else {
+      this.createBoundaryBox(centerPoint, width, depth, height);
+    }
 
     if (connected) {
       this.generateConnectedChain(centerPoint, width, depth, height, count, jumpTemplateMetrics, {
@@ -60,17 +120,21 @@ export class ParticleField extends BaseShape {
         objectClearanceEnabled,
         objectClearanceRadius,
         objectClearanceHeight,
+        startPoint,
+        goalPoint,
+        difficulty,
+        rampDifficulty,
+        guide,
+        sideRoutes,
+        deadEnds,
+        shortcuts,
+        volume,
       });
       return;
     }
 
     for (let index = 0; index < count; index++) {
-      const position = new THREE.Vector3(
-        centerPoint.x + (Math.random() - 0.5) * width,
-        centerPoint.y + (Math.random() - 0.5) * height,
-        centerPoint.z + (Math.random() - 0.5) * depth
-      );
-      this.addParticlePoint(position, randomItemRotation);
+      this.addParticlePoint(this.createRandomPointInBounds(bounds), randomItemRotation);
     }
   }
 
@@ -80,8 +144,20 @@ export class ParticleField extends BaseShape {
       objectClearanceEnabled = false,
       objectClearanceRadius = 0,
       objectClearanceHeight = 0,
+      startPoint = null,
+      goalPoint = null,
+      difficulty = '',
+      rampDifficulty = false,
+      guide = null,
+      sideRoutes = 0,
+      deadEnds = 0,
+      shortcuts = 0,
+      volume = DEFAULTS.PARTICLE_FIELD.VOLUME,
     } = options;
-    const bounds = this.createBounds(centerPoint, width, depth, height);
+    const bounds = guide ? this.createGuideBounds(guide) : this.createBounds(centerPoint, width, depth, height, volume);
+    const route = this.createChainRoute(bounds, startPoint, goalPoint, guide);
+    route.difficulty = difficulty;
+    route.rampDifficulty = rampDifficulty;
     const objectClearance = this.createObjectClearance({
       enabled: objectClearanceEnabled,
       radius: objectClearanceRadius,
@@ -94,70 +170,163 @@ export class ParticleField extends BaseShape {
     let bestScore = -Infinity;
 
     for (let attempt = 0; attempt < maxAttempts; attempt++) {
-      const chain = this.buildChainAttempt(bounds, count, jumpTemplateMetrics, objectClearance);
-      const score = this.scoreChain(chain, bounds, count);
+      const chain = this.buildChainAttempt(bounds, count, jumpTemplateMetrics, objectClearance, route);
+      const score = this.scoreChain(chain, bounds, count, route);
 
       if (score > bestScore) {
         bestChain = chain;
         bestScore = score;
       }
 
-      if (chain.length === count && this.isInTopBand(chain[chain.length - 1], bounds)) {
+      if (chain.length === count && this.isChainFinished(chain, bounds, jumpTemplateMetrics, route)) {
         bestChain = chain;
         break;
       }
     }
 
+    const restIndices = this.getRestPlatformIndices(bestChain.length, count, route);
     bestChain.forEach((position, index) => {
-      const point = this.addParticlePoint(position, randomItemRotation);
+      const isRest = restIndices.has(index);
+      const point = isRest
+        ? this.addParticlePoint(position, randomItemRotation, COLORS.PARTICLE_REST, 1.2)
+        : this.addParticlePoint(position, randomItemRotation);
       if (index > 0) {
         this.createLine(bestChain[index - 1], position, COLORS.PARTICLE_FIELD);
       }
       point.userData.chainIndex = index;
+      if (isRest) {
+        point.userData.particleRole = 'rest';
+      }
     });
 
-    if (bestChain.length < count) {
+    const { branches, missing } = this.buildChainBranches(bestChain, bounds, jumpTemplateMetrics, objectClearance, route, count, {
+      sideRoute: sideRoutes,
+      deadEnd: deadEnds,
+      shortcut: shortcuts,
+    });
+    branches.forEach((branch, branchIndex) => {
+      const color = BRANCH_COLORS[branch.kind];
+      let previous = bestChain[branch.from];
+      branch.points.forEach((position, step) => {
+        const point = this.addParticlePoint(position, randomItemRotation, color);
+        this.createLine(previous, position, color);
+        point.userData.particleRole = branch.kind;
+        point.userData.branchIndex = branchIndex;
+        point.userData.branchFrom = branch.from;
+        point.userData.branchTo = branch.to;
+        point.userData.branchStep = step;
+        previous = position;
+      });
+      if (branch.to !== null) {
+        this.createLine(previous, bestChain[branch.to], color);
+      }
+    });
+
+    if (route.goal) {
+      this.createGoalMarker(route.goal, bestChain[bestChain.length - 1]);
+    }
+
+    this.chainReport = this.verifyJumpChain(bestChain, jumpTemplateMetrics, route.goal);
+    this.chainReport.branches = branches.map(({ kind, from, to, points }) => ({
+      kind,
+      from,
+      to,
+      violations: this.verifyJumpChain([bestChain[from], ...points], jumpTemplateMetrics, to === null ? null : bestChain[to]).violations,
+    }));
+    const overlongHops = this.chainReport.violations.filter(({ to }) => to !== null);
+
+    if (overlongHops.length > 0) {
+      const hops = overlongHops.map(({ from, to }) => `${from + 1}→${to + 1}`).join(', ');
+      this.generationWarning = `${overlongHops.length} jump${overlongHops.length === 1 ? '' : 's'} exceed the jump template limits (${hops}).`;
+    } else if (bestChain.length < count) {
+      const space = `${guide ? 'guide' : bounds.volume} size`;
       const limits = objectClearance.enabled
-        ? 'jump template, box size, and object-clearance limits'
-        : 'jump template limits and box size';
+        ? `jump template, ${space}, and object-clearance limits`
+        : `jump template limits and ${space}`;
       this.generationWarning = `Generated ${bestChain.length} of ${count} points. The ${limits} prevented more connected points.`;
-    } else if (!this.isInTopBand(bestChain[bestChain.length - 1], bounds)) {
-      this.generationWarning = `Generated ${count} points, but the final point did not reach the top band of the box.`;
+    } else if (!this.chainReport.goalReached) {
+      this.generationWarning = `Generated ${count} points, but the final point is more than one jump from the goal.`;
+    } else if (!route.goal && guide) {
+      if (!this.isChainFinished(bestChain, bounds, jumpTemplateMetrics, route)) {
+        this.generationWarning = `Generated ${count} points, but the final point did not reach the end of the guide curve.`;
+      }
+    } else if (!route.goal && !this.isInTopBand(bestChain[bestChain.length - 1], bounds)) {
+      this.generationWarning = `Generated ${count} points, but the final point did not reach the top band of the ${bounds.volume}.`;
+    }
+
+    const overlongBranches = this.chainReport.branches.filter(({ violations }) => violations.length > 0);
+    const missingBranches = Object.entries(missing)
+      .filter(([, amount]) => amount > 0)
+      .map(([kind, amount]) => `${amount} ${BRANCH_NAMES[kind]}`);
+    if (this.generationWarning) {
+      return;
+    }
+    if (overlongBranches.length > 0) {
+      this.generationWarning = `${overlongBranches.length} branch${overlongBranches.length === 1 ? '' : 'es'} exceed the jump template limits.`;
+    } else if (missingBranches.length > 0) {
+      this.generationWarning = `Could not place ${missingBranches.join(', ')} without crossing the chain, the limits or other branches.`;
     }
   }
 
-  buildChainAttempt(bounds, count, jumpTemplateMetrics, objectClearance) {
-    const start = new THREE.Vector3(
-      bounds.center.x,
-      bounds.minY,
-      bounds.center.z
-    );
-    const chain = [start];
+  /**
+   * Gets where a chain starts, the guide curve it follows if any, and optionally the
+   * goal it must finish one jump from. Without a start point the chain starts at the
+   * start of the guide curve, or else at the bottom centre of the box.
+   */
+  createChainRoute(bounds, startPoint, goalPoint, guide = null) {
+    let start = new THREE.Vector3(bounds.center.x, bounds.minY, bounds.center.z);
+    if (startPoint) {
+      start = new THREE.Vector3(startPoint.x, startPoint.y, startPoint.z);
+    } else if (guide) {
+      start = guide.points[0].clone();
+    }
+    const goal = goalPoint
+      ? new THREE.Vector3(goalPoint.x, goalPoint.y, goalPoint.z)
+      : null;
+
+    return { start, goal, guide };
+  }
+
+  buildChainAttempt(bounds, count, jumpTemplateMetrics, objectClearance, route = this.createChainRoute(bounds)) {
+    const chain = [route.start.clone()];
+    let guideAlong = route.guide ? this.projectOntoGuide(route.start, route.guide).along : 0;
 
     for (let index = 1; index < count; index++) {
       const previous = chain[chain.length - 1];
-      const next = this.chooseNextConnectedPoint(previous, chain, bounds, jumpTemplateMetrics, objectClearance, index, count);
+      const next = this.chooseNextConnectedPoint(previous, chain, bounds, jumpTemplateMetrics, objectClearance, index, count, route, guideAlong);
 
       if (!next) {
         break;
       }
 
       chain.push(next);
+      if (route.guide) {
+        guideAlong = this.projectOntoGuide(next, route.guide, guideAlong, this.getGuideSearchWindow(route.guide, jumpTemplateMetrics)).along;
+      }
     }
 
     return chain;
   }
 
-  chooseNextConnectedPoint(previous, chain, bounds, jumpTemplateMetrics, objectClearance, index, count) {
+  chooseNextConnectedPoint(previous, chain, bounds, jumpTemplateMetrics, objectClearance, index, count, route = { goal: null }, guideAlong = 0) {
     const candidateCount = objectClearance.enabled ? 120 : 72;
     const targetProgress = count <= 1 ? 1 : index / (count - 1);
-    const targetY = bounds.minY + bounds.height * targetProgress;
+    const targetAlong = route.guide ? route.guide.total * targetProgress : 0;
+    let targetY = bounds.minY + bounds.height * targetProgress;
+    if (route.guide) {
+      targetY = this.getGuidePointAt(route.guide, targetAlong).y;
+    } else if (route.goal) {
+      targetY = route.start.y + (route.goal.y - route.start.y) * targetProgress;
+    }
     const coverageTarget = this.createCoverageTarget(bounds, index);
+    const profile = this.createJumpProfile(route, index, count);
     let bestCandidate = null;
     let bestScore = -Infinity;
 
     for (let attempt = 0; attempt < candidateCount; attempt++) {
-      const candidate = this.createStepCandidate(previous, bounds, jumpTemplateMetrics, targetY);
+      // Jumps the profile cannot place fall back to the full template range
+      const stepProfile = attempt < candidateCount / 2 || !profile || bestCandidate ? profile : null;
+      const candidate = this.createStepCandidate(previous, bounds, jumpTemplateMetrics, targetY, stepProfile);
       if (!candidate || !this.isInsideBounds(candidate, bounds)) {
         continue;
       }
@@ -166,10 +335,40 @@ export class ParticleField extends BaseShape {
         continue;
       }
 
+      const goalSlack = route.goal
+        ? this.getGoalSlack(candidate, route.goal, jumpTemplateMetrics, count - 1 - index)
+        : 1;
+      if (goalSlack < 0) {
+        continue;
+      }
+
+      const sparseScore = this.calculateSparseScore(candidate, chain, bounds);
+      if (route.guide) {
+        const projection = this.projectOntoGuide(candidate, route.guide, guideAlong, this.getGuideSearchWindow(route.guide, jumpTemplateMetrics));
+        if (projection.distance > route.guide.tolerance || projection.along < guideAlong - route.guide.tolerance) {
+          continue;
+        }
+
+        // Keep pace along the curve, stay near its centre line and never double back
+        const step = Math.max(jumpTemplateMetrics.flatMax, 1);
+        const score =
+          -Math.abs(projection.along - targetAlong) / step +
+          ((projection.along - guideAlong) / step) * 0.3 -
+          (projection.distance / route.guide.tolerance) * 0.3 +
+          sparseScore * 1.2 -
+          Math.max(0, 0.35 - goalSlack) * 4 +
+          this.random() * 0.05;
+
+        if (score > bestScore) {
+          bestCandidate = candidate;
+          bestScore = score;
+        }
+        continue;
+      }
+
       const flatDistance = Math.hypot(candidate.x - previous.x, candidate.z - previous.z);
       const yDistance = Math.abs(candidate.y - targetY);
       const upwardProgress = candidate.y - previous.y;
-      const sparseScore = this.calculateSparseScore(candidate, chain, bounds);
       const targetDistance = Math.hypot(
         candidate.x - coverageTarget.x,
         candidate.z - coverageTarget.z
@@ -180,8 +379,9 @@ export class ParticleField extends BaseShape {
         flatDistance * 0.02 +
         upwardProgress * 0.08 +
         sparseScore * 2.4 -
-        (targetDistance / maxTargetDistance) * 0.6 +
-        Math.random() * 0.05;
+        (targetDistance / maxTargetDistance) * 0.6 -
+        Math.max(0, 0.35 - goalSlack) * 4 +
+        this.random() * 0.05;
 
       if (score > bestScore) {
         bestCandidate = candidate;
@@ -192,6 +392,370 @@ export class ParticleField extends BaseShape {
     return bestCandidate;
   }
 
+  /**
+   * Measures how much room a point leaves to still reach the goal with the hops left
+   * plus the final jump onto it. Below 0 the goal is out of reach; near 0 the chain
+   * must head straight for it.
+   */
+  getGoalSlack(point, goal, jumpTemplateMetrics, hopsLeft) {
+    const { flatMax, heightMax } = jumpTemplateMetrics;
+    const flatReach = flatMax * (hopsLeft + 1) + 0.0001;
+    const heightReach = heightMax * (hopsLeft + 1) + 0.0001;
+    const flatDistance = Math.hypot(goal.x - point.x, goal.z - point.z);
+    const heightDistance = Math.abs(goal.y - point.y);
+    const flatSlack = 1 - flatDistance / flatReach;
+    const heightSlack = 1 - heightDistance / heightReach;
+
+    return Math.min(flatSlack, heightSlack);
+  }
+
+  /**
+   * Checks whether one jump connects two points within the template limits
+   */
+  isJumpWithinLimits(start, end, jumpTemplateMetrics) {
+    const epsilon = 0.0001;
+    return (
+      Math.hypot(end.x - start.x, end.z - start.z) <= jumpTemplateMetrics.flatMax + epsilon &&
+      Math.abs(end.y - start.y) <= jumpTemplateMetrics.heightMax + epsilon
+    );
+  }
+
+  /**
+   * Walks a finished chain, and the last jump to the goal if there is one, and lists
+   * every hop longer or taller than the jump template allows
+   * @param {THREE.Vector3[]} chain - Chain positions in jump order
+   * @param {Object} jumpTemplateMetrics - { flatMax, heightMax }
+   * @param {THREE.Vector3|null} goal - Goal the last point jumps to
+   * @returns {{ violations: Array<Object>, goalReached: boolean }} Violations hold the hop's
+   *   from and to indices (to is null for the goal), flat distance and height change
+   */
+  verifyJumpChain(chain, jumpTemplateMetrics, goal = null) {
+    const hops = chain.slice(1).map((point, index) => ({ from: index, to: index + 1, start: chain[index], end: point }));
+    if (goal && chain.length > 0) {
+      hops.push({ from: chain.length - 1, to: null, start: chain[chain.length - 1], end: goal });
+    }
+
+    const violations = hops
+      .filter(({ start, end }) => !this.isJumpWithinLimits(start, end, jumpTemplateMetrics))
+      .map(({ from, to, start, end }) => ({
+        from,
+        to,
+        flatDistance: Math.hypot(end.x - start.x, end.z - start.z),
+        heightDistance: Math.abs(end.y - start.y),
+      }));
+
+    return {
+      violations,
+      goalReached: goal ? chain.length > 0 && !violations.some(({ to }) => to === null) : true,
+    };
+  }
+
+  /**
+   * Gets the difficulty profile for one jump of the chain. With ramping, jumps
+   * move from the easy profile at the start to the chosen one at the end.
+   * @param {string} difficulty - 'easy', 'medium', 'hard', or empty for the full template range
+   * @param {boolean} rampDifficulty - Ease in from the easy profile
+   * @param {number} index - Index of the point the jump lands on
+   * @param {number} count - Points in the chain
+   * @returns {Object|null} Profile, or null to use the full template range
+   */
+  getDifficultyProfile(difficulty, rampDifficulty, index, count) {
+    const profiles = DEFAULTS.PARTICLE_FIELD.DIFFICULTY_PROFILES;
+    const profile = profiles[difficulty];
+    if (!profile) {
+      return null;
+    }
+
+    if (!rampDifficulty) {
+      return profile;
+    }
+
+    const progress = count <= 1 ? 1 : index / (count - 1);
+    const mix = (from, to) => from + (to - from) * progress;
+    return {
+      flatFraction: profile.flatFraction.map((value, bound) => mix(profiles.easy.flatFraction[bound], value)),
+      heightFraction: profile.heightFraction.map((value, bound) => mix(profiles.easy.heightFraction[bound], value)),
+      heightChangeChance: mix(profiles.easy.heightChangeChance, profile.heightChangeChance),
+      restEvery: progress < 0.5 ? profiles.easy.restEvery : profile.restEvery,
+    };
+  }
+
+  /**
+   * Gets the difficulty profile for the jump landing on one chain index. Whether
+   * the jump changes height is settled once, so scoring cannot override it.
+   */
+  createJumpProfile(route, index, count) {
+    const difficultyProfile = this.getDifficultyProfile(route.difficulty, route.rampDifficulty, index, count);
+    return difficultyProfile && {
+      ...difficultyProfile,
+      changesHeight: this.random() < difficultyProfile.heightChangeChance,
+    };
+  }
+
+  /**
+   * Picks the chain points that become rest platforms: one every restEvery jumps
+   * of the profile in force, never the first or last point
+   */
+  getRestPlatformIndices(length, count, route) {
+    const restIndices = new Set();
+    let jumpsSinceRest = 0;
+
+    for (let index = 1; index < length - 1; index++) {
+      const profile = this.getDifficultyProfile(route.difficulty, route.rampDifficulty, index, count);
+      jumpsSinceRest++;
+      if (profile && profile.restEvery > 0 && jumpsSinceRest >= profile.restEvery) {
+        restIndices.add(index);
+        jumpsSinceRest = 0;
+      }
+    }
+
+    return restIndices;
+  }
+
+  /**
+   * Adds branches to a finished main chain: side routes that leave it and rejoin
+   * further on, decoy dead ends, and shortcuts whose only way in is a
+   * maximum-length jump. No branch point is within one jump of another branch,
+   * or of a main chain point past the one its branch rejoins.
+   * @param {Object} branchCounts - Wanted branches by kind: { sideRoute, deadEnd, shortcut }
+   * @returns {{ branches: Array<Object>, missing: Object }} Branches hold their kind, the
+   *   main chain indices they leave from and rejoin at (to is null for dead ends) and
+   *   their points; missing counts the branches of each kind that found no room
+   */
+  buildChainBranches(mainChain, bounds, jumpTemplateMetrics, objectClearance, route, count, branchCounts) {
+    // Main chain points come first, so a main point's index here is its chain index
+    const network = {
+      main: mainChain,
+      points: [...mainChain],
+      jumps: mainChain.slice(1).map((point, index) => [mainChain[index], point]),
+    };
+    const branches = [];
+    const missing = {};
+
+    Object.entries(branchCounts).forEach(([kind, wanted]) => {
+      let placed = 0;
+      for (let attempt = 0; placed < wanted && attempt < wanted * 30; attempt++) {
+        const branch = kind === 'shortcut'
+          ? this.buildShortcut(network, bounds, jumpTemplateMetrics, objectClearance, route)
+          : this.buildBranchPath(kind, network, bounds, jumpTemplateMetrics, objectClearance, route, count);
+        if (!branch) {
+          continue;
+        }
+
+        network.points.push(...branch.points);
+        network.jumps.push(...this.getBranchJumps(branch, mainChain));
+        branches.push(branch);
+        placed++;
+      }
+      missing[kind] = wanted - placed;
+    });
+
+    return { branches, missing };
+  }
+
+  /**
+   * Builds a side route, which runs alongside a few main chain jumps and rejoins
+   * the chain, or a dead end, which climbs off the chain and stops
+   */
+  buildBranchPath(kind, network, bounds, jumpTemplateMetrics, objectClearance, route, count) {
+    const { main } = network;
+    const isSideRoute = kind === 'sideRoute';
+    const [minJumps, maxJumps] = isSideRoute
+      ? DEFAULTS.PARTICLE_FIELD.SIDE_ROUTE_SPAN
+      : DEFAULTS.PARTICLE_FIELD.DEAD_END_JUMPS;
+    const jumps = minJumps + Math.floor(this.random() * (maxJumps - minJumps + 1));
+    if (main.length < (isSideRoute ? jumps + 1 : 2)) {
+      return null;
+    }
+
+    const from = Math.floor(this.random() * (main.length - (isSideRoute ? jumps : 1)));
+    const branch = {
+      kind,
+      from,
+      to: isSideRoute ? from + jumps : null,
+      points: [],
+    };
+    // A side route spends its last jump landing back on the chain
+    const pointCount = isSideRoute ? jumps - 1 : jumps;
+
+    for (let step = 0; step < pointCount; step++) {
+      const next = this.chooseBranchPoint(branch, network, bounds, jumpTemplateMetrics, objectClearance, route, count, pointCount - 1 - step);
+      if (!next) {
+        return null;
+      }
+
+      branch.points.push(next);
+    }
+
+    return branch;
+  }
+
+  chooseBranchPoint(branch, network, bounds, jumpTemplateMetrics, objectClearance, route, count, hopsLeft) {
+    const { main } = network;
+    const previous = branch.points.length > 0 ? branch.points[branch.points.length - 1] : main[branch.from];
+    const target = branch.to === null ? null : main[branch.to];
+    const pendingJumps = this.getBranchJumps({ ...branch, to: null }, main);
+    const existingPoints = [...network.points, ...branch.points];
+    const candidateCount = objectClearance.enabled ? 120 : 72;
+    const profile = this.createJumpProfile(route, branch.from + branch.points.length + 1, count);
+    // Side routes pace their climb to the rejoin point; dead ends look like progress
+    const targetY = target
+      ? previous.y + (target.y - previous.y) / (hopsLeft + 2)
+      : previous.y + jumpTemplateMetrics.heightMax * 0.5;
+    let bestCandidate = null;
+    let bestScore = -Infinity;
+
+    for (let attempt = 0; attempt < candidateCount; attempt++) {
+      const stepProfile = attempt < candidateCount / 2 || !profile || bestCandidate ? profile : null;
+      const candidate = this.createStepCandidate(previous, bounds, jumpTemplateMetrics, targetY, stepProfile);
+      if (!candidate || !this.isInsideRoute(candidate, bounds, route)) {
+        continue;
+      }
+
+      const goalSlack = target ? this.getGoalSlack(candidate, target, jumpTemplateMetrics, hopsLeft) : 1;
+      if (goalSlack < 0 || this.isTooCloseToPoints(candidate, existingPoints, jumpTemplateMetrics)) {
+        continue;
+      }
+
+      if (this.reachesOtherPoints(candidate, network, branch.to ?? branch.from, jumpTemplateMetrics)) {
+        continue;
+      }
+
+      if (
+        this.violatesNetworkClearance(previous, candidate, existingPoints, [...network.jumps, ...pendingJumps], objectClearance) ||
+        (target && hopsLeft === 0 && this.violatesNetworkClearance(candidate, target, [...existingPoints, candidate], [], objectClearance))
+      ) {
+        continue;
+      }
+
+      const score =
+        this.calculateSparseScore(candidate, existingPoints, bounds) * 2.4 +
+        (target ? 0 : (candidate.y - previous.y) * 0.08) -
+        Math.max(0, 0.35 - goalSlack) * 4 +
+        this.random() * 0.05;
+
+      if (score > bestScore) {
+        bestCandidate = candidate;
+        bestScore = score;
+      }
+    }
+
+    return bestCandidate;
+  }
+
+  /**
+   * Builds a shortcut: one point that skips at least two main chain jumps, placed so
+   * that every way onto it, other than back from where it rejoins, is a maximum-length jump
+   */
+  buildShortcut(network, bounds, jumpTemplateMetrics, objectClearance, route) {
+    const { main } = network;
+    if (main.length < 4) {
+      return null;
+    }
+
+    const { flatMax, heightMax } = jumpTemplateMetrics;
+    const minEntry = flatMax * DEFAULTS.PARTICLE_FIELD.SHORTCUT_JUMP_FRACTION;
+    const entryProfile = { flatFraction: [DEFAULTS.PARTICLE_FIELD.SHORTCUT_JUMP_FRACTION, 1] };
+    const from = Math.floor(this.random() * (main.length - 3));
+    const start = main[from];
+    const targetY = main[from + 3].y;
+    const candidateCount = objectClearance.enabled ? 120 : 72;
+    let best = null;
+
+    for (let attempt = 0; attempt < candidateCount; attempt++) {
+      const { dx, dz } = this.createFlatOffset(flatMax, bounds.width, bounds.depth, entryProfile);
+      const dy = this.createHeightOffset(start.y, bounds, heightMax, targetY);
+      const candidate = new THREE.Vector3(start.x + dx, start.y + dy, start.z + dz);
+      if (!this.isInsideRoute(candidate, bounds, route) || this.isTooCloseToPoints(candidate, network.points, jumpTemplateMetrics)) {
+        continue;
+      }
+
+      let to = -1;
+      for (let index = main.length - 1; index >= from + 3 && to === -1; index--) {
+        if (this.isJumpWithinLimits(candidate, main[index], jumpTemplateMetrics)) {
+          to = index;
+        }
+      }
+      if (to === -1 || this.isJumpWithinLimits(start, main[to], jumpTemplateMetrics)) {
+        continue;
+      }
+
+      const hasShorterEntry = network.points.some((point, index) => (
+        index !== to &&
+        this.isJumpWithinLimits(candidate, point, jumpTemplateMetrics) &&
+        (index >= main.length || Math.hypot(point.x - candidate.x, point.z - candidate.z) < minEntry - 0.0001)
+      ));
+      if (hasShorterEntry) {
+        continue;
+      }
+
+      if (
+        this.violatesNetworkClearance(start, candidate, network.points, network.jumps, objectClearance) ||
+        this.violatesNetworkClearance(candidate, main[to], [...network.points, candidate], [], objectClearance)
+      ) {
+        continue;
+      }
+
+      const score = to - from + this.random() * 0.05;
+      if (!best || score > best.score) {
+        best = { score, to, candidate };
+      }
+    }
+
+    return best && { kind: 'shortcut', from, to: best.to, points: [best.candidate] };
+  }
+
+  /**
+   * Lists a branch's jumps, from the main chain point it leaves to the one it rejoins
+   */
+  getBranchJumps(branch, mainChain) {
+    const path = [mainChain[branch.from], ...branch.points];
+    if (branch.to !== null) {
+      path.push(mainChain[branch.to]);
+    }
+
+    return path.slice(1).map((point, index) => [path[index], point]);
+  }
+
+  isInsideRoute(point, bounds, route) {
+    if (!this.isInsideBounds(point, bounds)) {
+      return false;
+    }
+
+    return !route.guide || this.projectOntoGuide(point, route.guide).distance <= route.guide.tolerance;
+  }
+
+  isTooCloseToPoints(candidate, points, jumpTemplateMetrics) {
+    const spacing = jumpTemplateMetrics.flatMax * DEFAULTS.PARTICLE_FIELD.BRANCH_SPACING;
+    return points.some((point) => point.distanceTo(candidate) < spacing);
+  }
+
+  /**
+   * Checks whether a branch point is one jump from another branch, or from a main
+   * chain point past the last one its branch may reach; either would open a route
+   * the branch is not meant to be
+   */
+  reachesOtherPoints(candidate, network, lastMainIndex, jumpTemplateMetrics) {
+    return network.points.some((point, index) => (
+      index > lastMainIndex && this.isJumpWithinLimits(candidate, point, jumpTemplateMetrics)
+    ));
+  }
+
+  /**
+   * Object clearance for a jump off the main chain: the jump must clear every object
+   * but those at its own ends, and the object at its end must not block any other jump
+   */
+  violatesNetworkClearance(start, end, points, jumps, objectClearance) {
+    if (!objectClearance.enabled) {
+      return false;
+    }
+
+    return (
+      points.some((point) => point !== start && point !== end && this.segmentIntersectsObjectVolume(start, end, point, objectClearance)) ||
+      jumps.some(([jumpStart, jumpEnd]) => this.segmentIntersectsObjectVolume(jumpStart, jumpEnd, end, objectClearance))
+    );
+  }
+
   createCoverageTarget(bounds, index) {
     const angle = index * Math.PI * (3 - Math.sqrt(5));
     const radiusProgress = Math.sqrt(((index * 37) % 100) / 100);
@@ -201,9 +765,9 @@ export class ParticleField extends BaseShape {
     };
   }
 
-  createStepCandidate(previous, bounds, jumpTemplateMetrics, targetY) {
-    const { dx, dz } = this.createFlatOffset(jumpTemplateMetrics.flatMax, bounds.width, bounds.depth);
-    const dy = this.createHeightOffset(previous.y, bounds, jumpTemplateMetrics.heightMax, targetY);
+  createStepCandidate(previous, bounds, jumpTemplateMetrics, targetY, profile = null) {
+    const { dx, dz } = this.createFlatOffset(jumpTemplateMetrics.flatMax, bounds.width, bounds.depth, profile);
+    const dy = this.createHeightOffset(previous.y, bounds, jumpTemplateMetrics.heightMax, targetY, profile);
     const candidate = new THREE.Vector3(
       previous.x + dx,
       previous.y + dy,
@@ -221,11 +785,29 @@ export class ParticleField extends BaseShape {
     return candidate;
   }
 
-  createFlatOffset(flatMax, width, depth) {
+  createFlatOffset(flatMax, width, depth, profile = null) {
     if (width === 0 && depth === 0) {
       return { dx: 0, dz: 0 };
     }
 
+    if (profile) {
+      const [minFraction, maxFraction] = profile.flatFraction;
+      const length = (minFraction + this.random() * (maxFraction - minFraction)) * flatMax;
+      const sign = this.random() < 0.5 ? -1 : 1;
+      if (width === 0) {
+        return { dx: 0, dz: sign * length };
+      }
+      if (depth === 0) {
+        return { dx: sign * length, dz: 0 };
+      }
+
+      const angle = this.random() * Math.PI * 2;
+      return {
+        dx: Math.cos(angle) * length,
+        dz: Math.sin(angle) * length,
+      };
+    }
+
     if (width === 0) {
       return { dx: 0, dz: this.randomSigned(flatMax) };
     }
@@ -234,15 +816,15 @@ export class ParticleField extends BaseShape {
       return { dx: this.randomSigned(flatMax), dz: 0 };
     }
 
-    const radius = Math.sqrt(Math.random()) * flatMax;
-    const angle = Math.random() * Math.PI * 2;
+    const radius = Math.sqrt(this.random()) * flatMax;
+    const angle = this.random() * Math.PI * 2;
     return {
       dx: Math.cos(angle) * radius,
       dz: Math.sin(angle) * radius,
     };
   }
 
-  createHeightOffset(previousY, bounds, heightMax, targetY) {
+  createHeightOffset(previousY, bounds, heightMax, targetY, profile = null) {
     if (bounds.height === 0 || heightMax === 0) {
       return 0;
     }
@@ -253,8 +835,20 @@ export class ParticleField extends BaseShape {
       return 0;
     }
 
-    if (Math.random() < 0.25) {
-      return minOffset + Math.random() * (maxOffset - minOffset);
+    if (profile) {
+      if (!profile.changesHeight) {
+        return 0;
+      }
+
+      // Climb toward the target height, with the odd drop for variety
+      const [minFraction, maxFraction] = profile.heightFraction;
+      const size = (minFraction + this.random() * (maxFraction - minFraction)) * heightMax;
+      const direction = (targetY >= previousY) === (this.random() >= 0.2) ? 1 : -1;
+      return this.clamp(direction * size, minOffset, maxOffset);
+    }
+
+    if (this.random() < 0.25) {
+      return minOffset + this.random() * (maxOffset - minOffset);
     }
 
     const desiredOffset = targetY - previousY;
@@ -382,24 +976,29 @@ export class ParticleField extends BaseShape {
     return distanceSquared <= radius * radius + epsilon;
   }
 
-  addParticlePoint(position, randomItemRotation) {
-    const sphere = this.createSphere(position, COLORS.PARTICLE_FIELD, 0.6);
+  addParticlePoint(position, randomItemRotation, color = COLORS.PARTICLE_FIELD, size = 0.6) {
+    const sphere = this.createSphere(position, color, size);
     sphere.userData = {
       ...sphere.userData,
       particleRandomRotation: Boolean(randomItemRotation),
     };
 
     if (randomItemRotation) {
-      sphere.userData.particleYaw = Math.random() * Math.PI * 2;
+      sphere.userData.particleYaw = this.random() * Math.PI * 2;
     }
 
     this.allPoints.push(sphere);
     return sphere;
   }
 
-  createBounds(centerPoint, width, depth, height) {
+  /**
+   * Gets the volume's bounding box, plus its shape for isInsideBounds
+   * @param {string} volume - 'box', or a round volume: 'cylinder', 'sphere', 'dome' or 'cone'
+   */
+  createBounds(centerPoint, width, depth, height, volume = 'box') {
     return {
       center: centerPoint,
+      volume,
       width,
       depth,
       height,
@@ -414,7 +1013,7 @@ export class ParticleField extends BaseShape {
 
   isInsideBounds(point, bounds) {
     const epsilon = 0.0001;
-    return (
+    const insideBox = (
       point.x >= bounds.minX - epsilon &&
       point.x <= bounds.maxX + epsilon &&
       point.y >= bounds.minY - epsilon &&
@@ -422,6 +1021,101 @@ export class ParticleField extends BaseShape {
       point.z >= bounds.minZ - epsilon &&
       point.z <= bounds.maxZ + epsilon
     );
+    const profile = VOLUME_PROFILES[bounds.volume];
+    if (!insideBox || !profile) {
+      return insideBox;
+    }
+
+    return this.getRadialFraction(point, bounds) <= this.getVolumeRadius(bounds, point.y) + epsilon;
+  }
+
+  /**
+   * Gets how far a point is from the volume's vertical axis, as a fraction of the
+   * widest radius in its direction (1 is on the rim of an ellipse filling the box)
+   */
+  getRadialFraction(point, bounds) {
+    return Math.hypot(
+      (point.x - bounds.center.x) / (bounds.width / 2),
+      (point.z - bounds.center.z) / (bounds.depth / 2)
+    );
+  }
+
+  /**
+   * Gets a round volume's horizontal radius at a height, as a fraction of its widest
+   */
+  getVolumeRadius(bounds, y) {
+    const t = bounds.height > 0 ? this.clamp((y - bounds.minY) / bounds.height, 0, 1) : 0;
+    return VOLUME_PROFILES[bounds.volume](t);
+  }
+
+  /**
+   * Picks a uniformly random point inside the volume, by drawing points in its box
+   * until one lands inside; a cone, the smallest, fills about a quarter of its box
+   */
+  createRandomPointInBounds(bounds) {
+    let point;
+    do {
+      point = new THREE.Vector3(
+        bounds.center.x + (this.random() - 0.5) * bounds.width,
+        bounds.center.y + (this.random() - 0.5) * bounds.height,
+        bounds.center.z + (this.random() - 0.5) * bounds.depth
+      );
+    } while (!this.isInsideBounds(point, bounds));
+
+    return point;
+  }
+
+  /**
+   * Checks whether some point inside the volume is one jump from a point outside it,
+   * by walking the volume's cross-sections within jump height
+   */
+  isWithinOneJumpOfBounds(point, bounds, jumpTemplateMetrics) {
+    if (!VOLUME_PROFILES[bounds.volume]) {
+      const nearestInside = new THREE.Vector3(
+        this.clamp(point.x, bounds.minX, bounds.maxX),
+        this.clamp(point.y, bounds.minY, bounds.maxY),
+        this.clamp(point.z, bounds.minZ, bounds.maxZ)
+      );
+      return this.isJumpWithinLimits(nearestInside, point, jumpTemplateMetrics);
+    }
+
+    const lowY = Math.max(bounds.minY, point.y - jumpTemplateMetrics.heightMax);
+    const highY = Math.min(bounds.maxY, point.y + jumpTemplateMetrics.heightMax);
+    if (lowY > highY + 0.0001) {
+      return false;
+    }
+
+    const samples = 16;
+    for (let step = 0; step <= samples; step++) {
+      const y = Math.min(lowY + ((highY - lowY) * step) / samples, highY);
+      const radius = this.getVolumeRadius(bounds, y);
+      const section = new THREE.Vector3(point.x, y, point.z);
+      if (this.getRadialFraction(section, bounds) <= radius) {
+        return true;
+      }
+
+      for (let corner = 0; corner < 64; corner++) {
+        const angle = (corner / 64) * Math.PI * 2;
+        const rimX = bounds.center.x + Math.cos(angle) * (bounds.width / 2) * radius;
+        const rimZ = bounds.center.z + Math.sin(angle) * (bounds.depth / 2) * radius;
+        if (Math.hypot(rimX - point.x, rimZ - point.z) <= jumpTemplateMetrics.flatMax + 0.0001) {
+          return true;
+        }
+      }
+    }
+
+    return false;
+  }
+
+  isChainFinished(chain, bounds, jumpTemplateMetrics, route) {
+    const finalPoint = chain[chain.length - 1];
+    if (route.goal) {
+      return this.isJumpWithinLimits(finalPoint, route.goal, jumpTemplateMetrics);
+    }
+    if (route.guide) {
+      return this.isJumpWithinLimits(finalPoint, route.guide.points[route.guide.points.length - 1], jumpTemplateMetrics);
+    }
+    return this.isInTopBand(finalPoint, bounds);
   }
 
   isInTopBand(point, bounds) {
@@ -430,10 +1124,18 @@ export class ParticleField extends BaseShape {
     return point.y >= bounds.minY + bounds.height * 0.8;
   }
 
-  scoreChain(chain, bounds, targetCount) {
+  scoreChain(chain, bounds, targetCount, route = { goal: null }) {
     if (!chain.length) return -Infinity;
     const finalPoint = chain[chain.length - 1];
     const lengthScore = chain.length / targetCount;
+    if (route.goal) {
+      const totalDistance = Math.max(route.start.distanceTo(route.goal), 1);
+      return lengthScore * 100 + (1 - finalPoint.distanceTo(route.goal) / totalDistance) * 10;
+    }
+    if (route.guide) {
+      return lengthScore * 100 + (this.projectOntoGuide(finalPoint, route.guide).along / Math.max(route.guide.total, 1)) * 10;
+    }
+
     const heightScore = bounds.height === 0
       ? 1
       : (finalPoint.y - bounds.minY) / bounds.height;
@@ -441,13 +1143,107 @@ export class ParticleField extends BaseShape {
   }
 
   randomSigned(amount) {
-    return (Math.random() * 2 - 1) * amount;
+    return (this.random() * 2 - 1) * amount;
   }
 
   clamp(value, min, max) {
     return Math.min(Math.max(value, min), max);
   }
 
+  /**
+   * Prepares a guide curve: the polyline, the distance along it at each point and
+   * how far from it the chain may stray
+   * @param {THREE.Vector3[]} points - Curve points in travel order
+   * @param {number} tolerance - Largest distance from the curve
+   */
+  createGuide(points, tolerance) {
+    const guidePoints = [];
+    points.forEach((point) => {
+      const previous = guidePoints[guidePoints.length - 1];
+      if (!previous || previous.distanceTo(point) > 0.0001) {
+        guidePoints.push(new THREE.Vector3(point.x, point.y, point.z));
+      }
+    });
+
+    const lengths = [0];
+    for (let index = 1; index < guidePoints.length; index++) {
+      lengths.push(lengths[index - 1] + guidePoints[index - 1].distanceTo(guidePoints[index]));
+    }
+
+    return {
+      points: guidePoints,
+      lengths,
+      total: lengths[lengths.length - 1],
+      tolerance,
+    };
+  }
+
+  /**
+   * Finds the nearest point of a guide curve
+   * @param {THREE.Vector3} point - Point to project
+   * @param {Object} guide - Guide from createGuide
+   * @param {number} nearAlong - Only search around this distance along the curve...
+   * @param {number} window - ...within this much either side, so stacked turns of a spiral stay apart
+   * @returns {{ along: number, distance: number }} Distance along the curve and away from it
+   */
+  projectOntoGuide(point, guide, nearAlong = 0, window = Infinity) {
+    const { points, lengths } = guide;
+    let best = { along: 0, distance: point.distanceTo(points[0]) };
+    const segment = new THREE.Line3();
+    const closest = new THREE.Vector3();
+
+    for (let index = 1; index < points.length; index++) {
+      if (lengths[index] < nearAlong - window || lengths[index - 1] > nearAlong + window) {
+        continue;
+      }
+
+      segment.set(points[index - 1], points[index]);
+      const t = segment.closestPointToPointParameter(point, true);
+      segment.at(t, closest);
+      const distance = point.distanceTo(closest);
+      if (distance < best.distance) {
+        best = { along: lengths[index - 1] + t * (lengths[index] - lengths[index - 1]), distance };
+      }
+    }
+
+    return best;
+  }
+
+  getGuideSearchWindow(guide, jumpTemplateMetrics) {
+    return (jumpTemplateMetrics.flatMax + jumpTemplateMetrics.heightMax + guide.tolerance) * 2;
+  }
+
+  getGuidePointAt(guide, along) {
+    const { points, lengths, total } = guide;
+    const clamped = this.clamp(along, 0, total);
+    let index = 1;
+    while (index < points.length - 1 && lengths[index] < clamped) {
+      index++;
+    }
+
+    const span = lengths[index] - lengths[index - 1];
+    const t = span > 0 ? (clamped - lengths[index - 1]) / span : 0;
+    return points[index - 1].clone().lerp(points[index], t);
+  }
+
+  /**
+   * Bounds around a guide curve, widened by its tolerance, for the same limits the box gives
+   */
+  createGuideBounds(guide) {
+    const box = new THREE.Box3().setFromPoints(guide.points).expandByScalar(guide.tolerance);
+    const center = box.getCenter(new THREE.Vector3());
+    const size = box.getSize(new THREE.Vector3());
+    return this.createBounds(center, size.x, size.z, size.y);
+  }
+
+  createGuideLine(guide) {
+    const geometry = new THREE.BufferGeometry().setFromPoints(guide.points);
+    const material = new THREE.LineBasicMaterial({ color: COLORS.TEXT });
+    const line = new THREE.Line(geometry, material);
+    this.scene.add(line);
+    this.lines.push(line);
+  }
+
   createBoundaryBox(centerPoint, width, depth, height) {
     const geometry = new THREE.BoxGeometry(width, height, depth);
     const edges = new THREE.EdgesGeometry(geometry);
@@ -458,10 +1254,67 @@ export class ParticleField extends BaseShape {
     this.lines.push(this.boundaryBox);
   }
 
+  /**
+   * Draws a round volume as rings at a few heights joined by lines up its sides
+   */
+  createVolumeWireframe(bounds) {
+    const ringHeights = [0, 0.25, 0.5, 0.75, 1];
+    const sideLines = 8;
+    const steps = 48;
+    const vertices = [];
+    const pointAt = (angle, t) => {
+      const y = bounds.minY + bounds.height * t;
+      const radius = this.getVolumeRadius(bounds, y);
+      return new THREE.Vector3(
+        bounds.center.x + Math.cos(angle) * (bounds.width / 2) * radius,
+        y,
+        bounds.center.z + Math.sin(angle) * (bounds.depth / 2) * radius
+      );
+    };
+
+    ringHeights.forEach((t) => {
+      if (this.getVolumeRadius(bounds, bounds.minY + bounds.height * t) < 0.001) {
+        return;
+      }
+
+      for (let step = 0; step < steps; step++) {
+        vertices.push(
+          pointAt((step / steps) * Math.PI * 2, t),
+          pointAt(((step + 1) / steps) * Math.PI * 2, t)
+        );
+      }
+    });
+
+    for (let line = 0; line < sideLines; line++) {
+      const angle = (line / sideLines) * Math.PI * 2;
+      for (let step = 0; step < steps / 2; step++) {
+        vertices.push(pointAt(angle, step / (steps / 2)), pointAt(angle, (step + 1) / (steps / 2)));
+      }
+    }
+
+    const geometry = new THREE.BufferGeometry().setFromPoints(vertices);
+    const material = new THREE.LineBasicMaterial({ color: COLORS.TEXT });
+    this.boundaryBox = new THREE.LineSegments(geometry, material);
+    this.scene.add(this.boundaryBox);
+    this.lines.push(this.boundaryBox);
+  }
+
+  /**
+   * Marks the goal and the last jump onto it; neither is exported
+   */
+  createGoalMarker(goal, finalPoint) {
+    const marker = this.createSphere(goal, COLORS.PARTICLE_GOAL, 1);
+    this.lines.push(marker);
+    if (finalPoint) {
+      this.createLine(finalPoint, goal, COLORS.PARTICLE_GOAL);
+    }
+  }
+
   clearPoints() {
     super.clearPoints();
     this.boundaryBox = null;
     this.generationWarning = '';
+    this.chainReport = null;
   }
 
   validateInput(params) {
@@ -475,6 +1328,15 @@ export class ParticleField extends BaseShape {
       objectClearanceEnabled,
       objectClearanceRadius,
       objectClearanceHeight,
+      centerPoint,
+      startPoint = null,
+      goalPoint = null,
+      difficulty = '',
+      guide = null,
+      sideRoutes = 0,
+      deadEnds = 0,
+      shortcuts = 0,
+      volume = 'box',
     } = params;
 
     if (width < 0 || width > 500) {
@@ -497,6 +1359,18 @@ export class ParticleField extends BaseShape {
       return { valid: false, error: 'Count must be between 1 and 2000' };
     }
 
+    if (volume !== 'box' && !VOLUME_PROFILES[volume]) {
+      return { valid: false, error: `Unknown volume "${volume}"` };
+    }
+
+    if (VOLUME_PROFILES[volume] && !guide && (width === 0 || depth === 0)) {
+      return { valid: false, error: `A ${volume} needs X size and depth greater than 0` };
+    }
+
+    if (volume !== 'box' && volume !== 'cylinder' && !guide && height === 0) {
+      return { valid: false, error: `A ${volume} needs a height greater than 0` };
+    }
+
     if (connected) {
       if (!jumpTemplateMetrics) {
         return { valid: false, error: 'Upload a Particle Field jump template before generating a connected chain' };
@@ -510,7 +1384,15 @@ export class ParticleField extends BaseShape {
         return { valid: false, error: 'Jump template height distance must be 0 or greater' };
       }
 
-      if (count > 1 && width === 0 && depth === 0) {
+      if (guide) {
+        if (guide.points.length < 2) {
+          return { valid: false, error: 'The guide curve needs at least two distinct points' };
+        }
+
+        if (!Number.isFinite(guide.tolerance) || guide.tolerance <= 0 || guide.tolerance > 500) {
+          return { valid: false, error: 'Guide tolerance must be greater than 0 and no more than 500' };
+        }
+      } else if (count > 1 && width === 0 && depth === 0) {
         return { valid: false, error: 'Connected chains need box X size or depth greater than 0' };
       }
 
@@ -523,6 +1405,46 @@ export class ParticleField extends BaseShape {
           return { valid: false, error: 'Object height must be greater than 0 and no more than 500' };
         }
       }
+
+      if (difficulty && !DEFAULTS.PARTICLE_FIELD.DIFFICULTY_PROFILES[difficulty]) {
+        return { valid: false, error: `Unknown jump difficulty "${difficulty}"` };
+      }
+
+      const branchCounts = [['Side routes', sideRoutes], ['Dead ends', deadEnds], ['Shortcuts', shortcuts]];
+      for (const [label, amount] of branchCounts) {
+        if (!Number.isInteger(amount) || amount < 0 || amount > DEFAULTS.PARTICLE_FIELD.MAX_BRANCHES) {
+          return { valid: false, error: `${label} must be a whole number between 0 and ${DEFAULTS.PARTICLE_FIELD.MAX_BRANCHES}` };
+        }
+      }
+
+      if (startPoint && centerPoint) {
+        if (guide) {
+          if (this.projectOntoGuide(startPoint, guide).distance > guide.tolerance) {
+            return { valid: false, error: 'The start point must be within the guide tolerance of the curve' };
+          }
+        } else if (!this.isInsideBounds(startPoint, this.createBounds(centerPoint, width, depth, height, volume))) {
+          return { valid: false, error: `The start point must be inside the ${volume}` };
+        }
+      }
+
+      if (goalPoint && centerPoint) {
+        const bounds = guide ? this.createGuideBounds(guide) : this.createBounds(centerPoint, width, depth, height, volume);
+        if (!this.isWithinOneJumpOfBounds(goalPoint, bounds, jumpTemplateMetrics)) {
+          return { valid: false, error: guide ? 'The goal must be within one jump of the guide curve' : `The goal must be within one jump of the ${volume}` };
+        }
+
+        const start = this.createChainRoute(bounds, startPoint, null, guide).start;
+        const flatJumps = Math.ceil(Math.hypot(goalPoint.x - start.x, goalPoint.z - start.z) / jumpTemplateMetrics.flatMax - 0.0001);
+        const heightChange = Math.abs(goalPoint.y - start.y);
+        if (heightChange > 0.0001 && jumpTemplateMetrics.heightMax === 0) {
+          return { valid: false, error: 'The jump template has no height change, so the goal must be level with the start' };
+        }
+        const heightJumps = heightChange > 0.0001 ? Math.ceil(heightChange / jumpTemplateMetrics.heightMax - 0.0001) : 0;
+        const jumpsNeeded = Math.max(flatJumps, heightJumps, 1);
+        if (count < jumpsNeeded) {
+          return { valid: false, error: `The goal is at least ${jumpsNeeded} jumps from the start, so use at least ${jumpsNeeded} items` };
+        }
+      }
     }
 
     return { valid: true, error: null };
@@ -1,5 +1,12 @@
 import { BaseShape } from '../base/BaseShape.js';
 import { COLORS, DEFAULTS } from '../utils/constants.js';
+import { createRoomPlan, roomPlanToLayers } from '../utils/roomPlan.js';
+import { tileFloorCells } from '../utils/floorTiling.js';
+
+/**
+ * Corners a 45° wall can cut from a cell, in the order the diagonal tool cycles them
+ */
+const DIAGONAL_CORNERS = ['nw', 'ne', 'se', 'sw'];
 
 /**
  * Room generator with interactive drawing grid
@@ -13,11 +20,19 @@ export class Room extends BaseShape {
     
     // Room-specific properties
     this.gridSize = 10; // Grid size in units
-    this.gridDivisions = 20; // Number of grid divisions
+    this.gridDivisions = DEFAULTS.ROOM.GRID_DIVISIONS; // Cells across the grid, always even so the house centre sits on a grid line
     this.drawingGrid = null;
-    this.selectedCells = new Set(); // Track selected cells
+    this.lastSelectedCells = new Set(); // Cells drawn before the last reset, reused as a maze shape
+
+    // One drawing layer per storey; selectedCells, wallOpenings and partitionEdges
+    // always point at the active storey's layer
+    this.storeyLayers = [this.createStoreyLayer()];
+    this.activeStorey = 0;
+    this.setActiveStorey(0);
     this.isDrawingMode = false;
     this.floorOptimizationSize = { width: 8, length: 4 }; // Default floor tile size
+    this.floorPieces = []; // Extra floor pieces ({ id, length, width }) for exact tiling
+    this.floorTilingReport = { uncoveredCells: 0, exact: true };
     
     // Raycaster for mouse interaction
     this.raycaster = new THREE.Raycaster();
@@ -26,16 +41,37 @@ export class Room extends BaseShape {
     // Store hidden objects during drawing mode
     this.hiddenObjects = [];
     
-    // Drawing grid visual elements
-    this.gridCells = [];
-    this.selectedCellMeshes = [];
-    
-    // Mouse event handlers (initialized as null)
-    this.boundMouseClick = null;
+    // Drawing grid visual elements; cells are instances of one mesh per kind,
+    // so even the largest grid is a handful of draw calls
+    this.gridPlane = null; // Takes the clicks for the whole grid
+    this.previewCellMesh = null; // Hovered cell, or the cells a drag will change
+    this.previewKey = null; // What previewCellMesh shows, to skip redrawing it unchanged
+    this.selectedCellMesh = null;
+    this.selectedCellSlots = new Map(); // Cell key => instance index in selectedCellMesh
+    this.selectedCellSlotKeys = []; // Instance index => cell key
+    this.wallOpeningMeshes = new Map();
+    this.partitionMeshes = new Map();
+    this.diagonalMeshes = new Map();
+    
+    // Called with true or false whenever drawing mode starts or ends
+    this.onDrawingModeChange = null;
+    
+    // Mouse and keyboard event handlers (initialized as null)
+    this.boundMouseDown = null;
     this.boundMouseMove = null;
+    this.boundMouseUp = null;
+    this.boundKeyDown = null;
+
+    // Drawing history and the drag in progress
+    this.undoStack = [];
+    this.redoStack = [];
+    this.stroke = null;
     
     // Generated elements
     this.walls = [];
+    this.windows = [];
+    this.pillars = [];
+    this.decorations = [];
     this.floors = [];
     
     // Default parameters
@@ -55,7 +91,11 @@ export class Room extends BaseShape {
       wallWidth = this.defaultWallWidth,
       wallHeight = this.defaultWallHeight,
       floorLength = this.defaultFloorLength,
-      floorWidth = this.defaultFloorWidth
+      floorWidth = this.defaultFloorWidth,
+      storeys = DEFAULTS.ROOM.STOREYS,
+      wallCourses = DEFAULTS.ROOM.WALL_COURSES,
+      decorationInterval = DEFAULTS.ROOM.DECORATION_INTERVAL,
+      decorationHeight = DEFAULTS.ROOM.DECORATION_HEIGHT
     } = params;
 
     if (wallLength < 1 || wallLength > 20) {
@@ -73,6 +113,18 @@ export class Room extends BaseShape {
     if (floorWidth < 1 || floorWidth > 20) {
       return { valid: false, error: "Floor width must be between 1 and 20" };
     }
+    if (storeys < 1 || storeys > DEFAULTS.ROOM.MAX_STOREYS) {
+      return { valid: false, error: `Storeys must be between 1 and ${DEFAULTS.ROOM.MAX_STOREYS}` };
+    }
+    if (wallCourses < 1 || wallCourses > DEFAULTS.ROOM.MAX_WALL_COURSES) {
+      return { valid: false, error: `Wall courses must be between 1 and ${DEFAULTS.ROOM.MAX_WALL_COURSES}` };
+    }
+    if (!(decorationInterval >= 1 && decorationInterval <= DEFAULTS.ROOM.MAX_DECORATION_INTERVAL)) {
+      return { valid: false, error: `Decoration interval must be between 1 and ${DEFAULTS.ROOM.MAX_DECORATION_INTERVAL}` };
+    }
+    if (!(decorationHeight >= 0 && decorationHeight <= wallHeight * wallCourses)) {
+      return { valid: false, error: "Decoration height must be between 0 and the storey height" };
+    }
 
     return { valid: true, error: null };
   }
@@ -89,48 +141,166 @@ export class Room extends BaseShape {
     }
 
     this.drawingGrid = new THREE.Group();
-    this.gridCells = [];
     
     // Calculate grid parameters based on wall length
     this.gridSize = wallLength * this.gridDivisions;
     const cellSize = wallLength;
-    const halfGrid = this.gridSize / 2;
-    
-    // Create individual grid cells for interaction
-    for (let x = 0; x < this.gridDivisions; x++) {
-      this.gridCells[x] = [];
-      for (let z = 0; z < this.gridDivisions; z++) {
-        const cellGeometry = new THREE.PlaneGeometry(cellSize, cellSize);
-        const cellMaterial = new THREE.MeshBasicMaterial({ 
-          color: COLORS.GRID_CELL,
-          transparent: true,
-          opacity: 0.1,
-          side: THREE.DoubleSide
-        });
-        
-        const cell = new THREE.Mesh(cellGeometry, cellMaterial);
-        cell.rotation.x = -Math.PI / 2; // Lay flat on ground
-        cell.position.set(
-          (x * cellSize) - halfGrid + (cellSize / 2),
-          0.01, // Slightly above ground
-          (z * cellSize) - halfGrid + (cellSize / 2)
-        );
-        
-        // Store grid coordinates for later use
-        cell.userData = { gridX: x, gridZ: z };
-        
-        this.drawingGrid.add(cell);
-        this.gridCells[x][z] = cell;
-      }
-    }
+    const cellCount = this.gridDivisions * this.gridDivisions;
+    
+    // One plane shades the grid and takes the clicks; getGridHit works out the cell
+    this.gridPlane = new THREE.Mesh(
+      new THREE.PlaneGeometry(this.gridSize, this.gridSize),
+      new THREE.MeshBasicMaterial({
+        color: COLORS.GRID_CELL,
+        transparent: true,
+        opacity: 0.1,
+        side: THREE.DoubleSide
+      })
+    );
+    this.gridPlane.rotation.x = -Math.PI / 2; // Lay flat on ground
+    this.gridPlane.position.y = 0.01; // Slightly above ground
+    this.drawingGrid.add(this.gridPlane);
+
+    this.previewCellMesh = this.createCellInstances(cellSize, cellCount, COLORS.GRID_CELL, 0.2, 0.015);
+    this.selectedCellMesh = this.createCellInstances(cellSize * 0.9, cellCount, COLORS.SELECTED_CELL, 0.7, 0.02);
+    this.selectedCellSlots = new Map();
+    this.selectedCellSlotKeys = [];
+    this.previewKey = null;
+    this.drawingGrid.add(this.previewCellMesh, this.selectedCellMesh);
     
     // Create grid lines for visual reference
     const gridHelper = new THREE.GridHelper(this.gridSize, this.gridDivisions, COLORS.GRID_LINE, COLORS.GRID_LINE);
     this.drawingGrid.add(gridHelper);
+
+    this.drawingGrid.add(this.createOriginMarker(cellSize));
     
     this.scene.add(this.drawingGrid);
   }
 
+  /**
+   * Creates an instanced mesh of flat cell squares, drawn at no cells until setCellInstance places them
+   * @param {number} size - Square side length
+   * @param {number} capacity - Most cells the mesh can show
+   * @param {number} height - Height above the ground, to layer the meshes
+   * @returns {THREE.InstancedMesh} Cell squares
+   */
+  createCellInstances(size, capacity, color, opacity, height) {
+    const geometry = new THREE.PlaneGeometry(size, size);
+    geometry.rotateX(-Math.PI / 2);
+    const material = new THREE.MeshBasicMaterial({
+      color,
+      transparent: true,
+      opacity,
+      side: THREE.DoubleSide
+    });
+
+    const mesh = new THREE.InstancedMesh(geometry, material, capacity);
+    mesh.count = 0;
+    mesh.position.y = height;
+    // Instances spread over the whole grid, beyond the bounds of the one square
+    mesh.frustumCulled = false;
+    return mesh;
+  }
+
+  /**
+   * Moves one instance of a cell mesh onto a grid cell
+   * @param {THREE.InstancedMesh} mesh - Mesh from createCellInstances
+   * @param {number} index - Instance index
+   * @param {number} x - Cell column
+   * @param {number} z - Cell row
+   */
+  setCellInstance(mesh, index, x, z) {
+    const cellSize = this.gridSize / this.gridDivisions;
+    const matrix = new THREE.Matrix4().makeTranslation(
+      (x + 0.5) * cellSize - this.gridSize / 2,
+      0,
+      (z + 0.5) * cellSize - this.gridSize / 2
+    );
+    mesh.setMatrixAt(index, matrix);
+    mesh.instanceMatrix.needsUpdate = true;
+  }
+
+  /**
+   * Creates a cross at the world origin, which exports to the MakePlace house centre
+   * @param {number} cellSize - Grid cell size
+   * @returns {THREE.Group} Origin marker
+   */
+  createOriginMarker(cellSize) {
+    const marker = new THREE.Group();
+    const material = new THREE.MeshBasicMaterial({ color: COLORS.CENTER });
+    const armLength = cellSize * 1.5;
+    const armWidth = cellSize * 0.12;
+
+    [0, Math.PI / 2].forEach(rotation => {
+      const arm = new THREE.Mesh(new THREE.BoxGeometry(armWidth, armWidth, armLength), material);
+      arm.rotation.y = rotation;
+      marker.add(arm);
+    });
+
+    marker.position.y = 0.1;
+    marker.name = 'roomOriginMarker';
+    return marker;
+  }
+
+  /**
+   * Gets the number of grid cells across for a house size
+   * @param {string} houseSize - 'Small', 'Medium' or 'Large'
+   * @param {number} wallLength - Cell size
+   * @returns {number} Even number of cells covering the house interior
+   */
+  getHouseGridDivisions(houseSize, wallLength) {
+    const span = DEFAULTS.ROOM.HOUSE_SPANS[houseSize];
+    if (!span) {
+      throw new Error(`Unknown house size: ${houseSize}`);
+    }
+    return Math.min(DEFAULTS.ROOM.MAX_GRID_DIVISIONS, Math.ceil(span / wallLength / 2) * 2);
+  }
+
+  /**
+   * Resizes the drawing grid, keeping everything drawn at the same place
+   * relative to the house centre; cells that no longer fit are dropped
+   * @param {number} divisions - Cells across, rounded up to an even number
+   */
+  setGridDivisions(divisions) {
+    const evenDivisions = Math.ceil(divisions / 2) * 2;
+    if (evenDivisions === this.gridDivisions) return;
+
+    const shift = (evenDivisions - this.gridDivisions) / 2;
+    const shiftKey = (key, limit) => {
+      const parts = key.split(',');
+      const [x, z] = parts.slice(-2).map(value => Number(value) + shift);
+      if (x < 0 || z < 0 || x >= limit || z >= limit) return null;
+      return [...parts.slice(0, -2), x, z].join(',');
+    };
+    const shiftCells = cells => new Set(
+      Array.from(cells, key => shiftKey(key, evenDivisions)).filter(key => key !== null)
+    );
+
+    // Edges on the far side of the last cell have index evenDivisions
+    this.storeyLayers = this.storeyLayers.map(layer => ({
+      selectedCells: shiftCells(layer.selectedCells),
+      wallOpenings: new Map(
+        Array.from(layer.wallOpenings, ([key, kind]) => [shiftKey(key, evenDivisions + 1), kind])
+          .filter(([key]) => key !== null)
+      ),
+      partitionEdges: new Set(
+        Array.from(layer.partitionEdges, key => shiftKey(key, evenDivisions + 1)).filter(key => key !== null)
+      ),
+      diagonalCells: new Map(
+        Array.from(layer.diagonalCells, ([key, corner]) => [shiftKey(key, evenDivisions), corner])
+          .filter(([key]) => key !== null)
+      )
+    }));
+    this.lastSelectedCells = shiftCells(this.lastSelectedCells);
+    this.gridDivisions = evenDivisions;
+    this.setActiveStorey(this.activeStorey);
+
+    // History snapshots hold cell keys for the old grid size
+    this.undoStack = [];
+    this.redoStack = [];
+    this.updateHistoryButtons();
+  }
+
   /**
    * Enters drawing mode - hides existing objects and shows drawing grid
    */
@@ -155,8 +325,9 @@ export class Room extends BaseShape {
     // Create and show drawing grid
     this.createDrawingGrid(wallLength);
     
-    // Restore any previously selected cells
+    // Restore any previously selected cells and marked doorways/windows
     this.restoreSelectedCells();
+    this.restoreEdgeMarkers();
     
     // Add mouse event listeners
     this.addMouseListeners();
@@ -192,18 +363,21 @@ export class Room extends BaseShape {
     // Update button text
     this.updateButtonText();
     
-    // Auto-generate if we have selected cells
-    if (this.selectedCells.size > 0) {
+    // Auto-generate if we have selected cells on any storey
+    if (this.hasDrawnCells()) {
       try {
         const params = this.getGenerationParameters();
         this.generate(params);
         
         // Update the count display
         const wallCount = this.walls ? this.walls.length : 0;
+        const windowCount = this.windows ? this.windows.length : 0;
+        const pillarCount = this.pillars ? this.pillars.length : 0;
+        const decorationCount = this.decorations ? this.decorations.length : 0;
         const floorCount = this.floors ? this.floors.length : 0;
         const countElement = document.getElementById('generatedRoomCount');
         if (countElement) {
-          countElement.textContent = `Generated Points: ${this.allPoints.length} (Walls: ${wallCount}, Floors: ${floorCount})`;
+          countElement.textContent = `Generated Points: ${this.allPoints.length} (Walls: ${wallCount}, Windows: ${windowCount}, Pillars: ${pillarCount}, Decorations: ${decorationCount}, Floors: ${floorCount}, Storeys: ${params.storeys})`;
           countElement.style.fontWeight = 'bold';
           countElement.style.color = '#2196F3';
           countElement.style.marginTop = '10px';
@@ -248,9 +422,13 @@ export class Room extends BaseShape {
       this.drawingGrid = null;
     }
     
-    // Clear all drawing-related arrays
-    this.gridCells = [];
-    this.selectedCellMeshes = [];
+    // Clear all drawing-related references
+    this.gridPlane = null;
+    this.previewCellMesh = null;
+    this.previewKey = null;
+    this.selectedCellMesh = null;
+    this.selectedCellSlots = new Map();
+    this.selectedCellSlotKeys = [];
   }
 
   /**
@@ -272,87 +450,744 @@ export class Room extends BaseShape {
   }
 
   /**
-   * Adds mouse event listeners for grid interaction
+   * Adds mouse and keyboard listeners for grid interaction
    */
   addMouseListeners() {
     // Remove any existing listeners first
     this.removeMouseListeners();
     
     // Create new bound functions
-    this.boundMouseClick = (event) => this.onMouseClick(event);
+    this.boundMouseDown = (event) => this.onMouseDown(event);
     this.boundMouseMove = (event) => this.onMouseMove(event);
+    this.boundMouseUp = (event) => this.onMouseUp(event);
+    this.boundKeyDown = (event) => this.onKeyDown(event);
     
-    window.addEventListener('click', this.boundMouseClick);
+    // Capture phase, so a press on the grid can be kept from the camera controls
+    window.addEventListener('mousedown', this.boundMouseDown, true);
     window.addEventListener('mousemove', this.boundMouseMove);
+    window.addEventListener('mouseup', this.boundMouseUp);
+    document.addEventListener('keydown', this.boundKeyDown);
+  }
+
+  /**
+   * Removes mouse and keyboard listeners
+   */
+  removeMouseListeners() {
+    if (this.boundMouseDown) {
+      window.removeEventListener('mousedown', this.boundMouseDown, true);
+      this.boundMouseDown = null;
+    }
+    if (this.boundMouseMove) {
+      window.removeEventListener('mousemove', this.boundMouseMove);
+      this.boundMouseMove = null;
+    }
+    if (this.boundMouseUp) {
+      window.removeEventListener('mouseup', this.boundMouseUp);
+      this.boundMouseUp = null;
+    }
+    if (this.boundKeyDown) {
+      document.removeEventListener('keydown', this.boundKeyDown);
+      this.boundKeyDown = null;
+    }
+    this.stroke = null;
+  }
+
+  /**
+   * Finds the grid cell under the mouse
+   * @returns {Object|null} { point, cell }: the world point hit and the cell { x, z } it is in
+   */
+  getGridHit(event) {
+    if (!this.gridPlane) return null;
+
+    this.updateMousePosition(event);
+    this.raycaster.setFromCamera(this.mouse, this.camera);
+    
+    const intersects = this.raycaster.intersectObject(this.gridPlane);
+    if (intersects.length === 0) return null;
+
+    // A hit on the far edge still belongs to the last cell
+    const { point } = intersects[0];
+    const cellSize = this.gridSize / this.gridDivisions;
+    const toCell = value => Math.min(this.gridDivisions - 1, Math.max(0, Math.floor((value + this.gridSize / 2) / cellSize)));
+    return { point, cell: { x: toCell(point.x), z: toCell(point.z) } };
+  }
+
+  /**
+   * Starts drawing on the grid: the left button draws, the right button erases
+   */
+  onMouseDown(event) {
+    if (!this.isDrawingMode || !this.camera) return;
+    if (event.button !== 0 && event.button !== 2) return;
+    if (!(event.target instanceof HTMLCanvasElement)) return;
+    // Shift-drag is left to the camera for panning a large grid
+    if (event.shiftKey) return;
+    
+    const hit = this.getGridHit(event);
+    if (!hit) return;
+
+    // Keep the camera still while drawing on the grid
+    event.stopPropagation();
+    event.preventDefault();
+
+    const erase = event.button === 2;
+    const tool = this.getDrawingTool();
+    const { cell } = hit;
+    const snapshot = this.createHistorySnapshot();
+    let changed = false;
+
+    if (tool === 'door' || tool === 'window') {
+      // Doorway and window tools mark the cell edge nearest the click
+      const edgeKey = this.findNearestEdgeKey(hit.point);
+      changed = erase ? this.setWallOpening(edgeKey, null) : this.toggleWallOpening(edgeKey, tool);
+    } else if (tool === 'partition') {
+      const edgeKey = this.findNearestEdgeKey(hit.point);
+      changed = erase ? this.setPartitionEdge(edgeKey, false) : this.togglePartitionEdge(edgeKey);
+    } else if (tool === 'diagonal') {
+      const cellKey = `${cell.x},${cell.z}`;
+      changed = erase ? this.setDiagonalCell(cellKey, null) : this.cycleDiagonalCell(cellKey);
+    } else if (tool === 'fill') {
+      changed = this.applyFill(cell, erase);
+    } else {
+      // Cell, rectangle and line tools drag; a left drag paints the opposite of
+      // the first cell's state, so a plain click still toggles that cell
+      this.stroke = {
+        tool,
+        start: cell,
+        last: cell,
+        end: cell,
+        value: erase ? false : !this.selectedCells.has(`${cell.x},${cell.z}`),
+        snapshot,
+        changed: false
+      };
+      if (tool === 'cells') {
+        this.stroke.changed = this.setCellSelected(`${cell.x},${cell.z}`, this.stroke.value);
+      }
+      this.updatePreview(null);
+      return;
+    }
+
+    if (changed) {
+      this.pushUndo(snapshot);
+    }
+  }
+
+  /**
+   * Handles mouse movement for hover effects, drag painting and shape previews
+   */
+  onMouseMove(event) {
+    if (!this.isDrawingMode || !this.camera) return;
+    
+    const hit = this.getGridHit(event);
+    const cell = hit ? hit.cell : null;
+
+    if (this.stroke && cell) {
+      if (this.stroke.tool === 'cells') {
+        // Paint every cell between the last and current position so fast drags leave no gaps
+        this.getLineCells(this.stroke.last, cell).forEach(({ x, z }) => {
+          if (this.setCellSelected(`${x},${z}`, this.stroke.value)) {
+            this.stroke.changed = true;
+          }
+        });
+        this.stroke.last = cell;
+      } else {
+        this.stroke.end = cell;
+      }
+    }
+
+    this.updatePreview(cell);
+  }
+
+  /**
+   * Finishes a drag; rectangle and line tools apply their shape here
+   */
+  onMouseUp() {
+    const stroke = this.stroke;
+    if (!stroke) return;
+    this.stroke = null;
+
+    if (stroke.tool === 'rectangle' || stroke.tool === 'line') {
+      this.getStrokeCells(stroke).forEach(({ x, z }) => {
+        if (this.setCellSelected(`${x},${z}`, stroke.value)) {
+          stroke.changed = true;
+        }
+      });
+    }
+
+    if (stroke.changed) {
+      this.pushUndo(stroke.snapshot);
+    }
+    this.updatePreview(null);
+  }
+
+  /**
+   * Handles undo (Ctrl+Z) and redo (Ctrl+Shift+Z or Ctrl+Y) in drawing mode
+   */
+  onKeyDown(event) {
+    if (!this.isDrawingMode || !(event.ctrlKey || event.metaKey)) return;
+
+    const tagName = event.target?.tagName;
+    if (tagName === 'INPUT' || tagName === 'TEXTAREA' || tagName === 'SELECT') return;
+
+    const key = event.key.toLowerCase();
+    if ((key === 'z' && event.shiftKey) || key === 'y') {
+      event.preventDefault();
+      this.redo();
+    } else if (key === 'z') {
+      event.preventDefault();
+      this.undo();
+    }
+  }
+
+  /**
+   * Highlights the hovered cell, or the cells a rectangle or line drag will change
+   * The highlight is only redrawn when it covers different cells
+   * @param {Object|null} hoveredCell - Grid cell { x, z } under the mouse
+   */
+  updatePreview(hoveredCell) {
+    if (!this.previewCellMesh) return;
+
+    const stroke = this.stroke && (this.stroke.tool === 'rectangle' || this.stroke.tool === 'line') ? this.stroke : null;
+    let previewKey = null;
+    if (stroke) {
+      previewKey = `${stroke.tool},${stroke.start.x},${stroke.start.z},${stroke.end.x},${stroke.end.z}`;
+    } else if (hoveredCell && !this.selectedCells.has(`${hoveredCell.x},${hoveredCell.z}`)) {
+      previewKey = `hover,${hoveredCell.x},${hoveredCell.z}`;
+    }
+    if (previewKey === this.previewKey) return;
+    this.previewKey = previewKey;
+
+    const cells = stroke ? this.getStrokeCells(stroke) : previewKey ? [hoveredCell] : [];
+    cells.forEach(({ x, z }, index) => this.setCellInstance(this.previewCellMesh, index, x, z));
+    this.previewCellMesh.count = cells.length;
+    this.previewCellMesh.material.opacity = stroke ? 0.3 : 0.2;
+  }
+
+  /**
+   * Gets the cells a rectangle or line drag covers
+   * @param {Object} stroke - Current drag
+   * @returns {Object[]} Cells as { x, z }
+   */
+  getStrokeCells(stroke) {
+    return stroke.tool === 'rectangle'
+      ? this.getRectangleCells(stroke.start, stroke.end)
+      : this.getLineCells(stroke.start, stroke.end);
+  }
+
+  /**
+   * Selects or deselects one cell and updates its visual
+   * @param {string} cellKey - Cell key ("x,z")
+   * @param {boolean} selected - New state
+   * @returns {boolean} True if the cell changed
+   */
+  setCellSelected(cellKey, selected) {
+    if (this.selectedCells.has(cellKey) === selected) return false;
+
+    if (selected) {
+      this.selectedCells.add(cellKey);
+      this.addSelectedCellVisual(cellKey);
+    } else {
+      this.selectedCells.delete(cellKey);
+      this.setDiagonalCell(cellKey, null);
+      this.removeSelectedCellVisual(cellKey);
+    }
+    return true;
+  }
+
+  /**
+   * Turns a cell's diagonal wall to the next corner, then back to a full cell;
+   * an empty cell is drawn first
+   * @param {string} cellKey - Cell key ("x,z")
+   * @returns {boolean} True if the cell changed
+   */
+  cycleDiagonalCell(cellKey) {
+    const corners = DIAGONAL_CORNERS;
+    const current = this.diagonalCells.get(cellKey);
+    const next = current ? corners[corners.indexOf(current) + 1] || null : corners[0];
+
+    this.setCellSelected(cellKey, true);
+    return this.setDiagonalCell(cellKey, next);
+  }
+
+  /**
+   * Sets the corner a diagonal wall cuts from a cell, or makes it a full cell again
+   * @param {string} cellKey - Cell key ("x,z")
+   * @param {string|null} corner - 'nw', 'ne', 'se', 'sw', or null for a full cell
+   * @returns {boolean} True if the cell changed
+   */
+  setDiagonalCell(cellKey, corner) {
+    if ((this.diagonalCells.get(cellKey) ?? null) === corner) return false;
+
+    this.removeEdgeMarker(this.diagonalMeshes, cellKey);
+    if (!corner) {
+      this.diagonalCells.delete(cellKey);
+      return true;
+    }
+
+    this.diagonalCells.set(cellKey, corner);
+    this.addDiagonalMarker(cellKey, corner);
+    return true;
+  }
+
+  /**
+   * Adds a drawing-grid marker along a cell's diagonal wall
+   */
+  addDiagonalMarker(cellKey, corner) {
+    if (!this.drawingGrid) return;
+
+    const cellSize = this.gridSize / this.gridDivisions;
+    const [x, z] = cellKey.split(',').map(Number);
+    const geometry = new THREE.BoxGeometry(cellSize * 0.15, cellSize * 0.05, cellSize * Math.SQRT2 * 0.9);
+    const marker = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({ color: COLORS.PARTITION }));
+    marker.position.set(
+      (x + 0.5) * cellSize - this.gridSize / 2,
+      0.05,
+      (z + 0.5) * cellSize - this.gridSize / 2
+    );
+    marker.rotation.y = this.getDiagonalWallRotation(corner);
+
+    this.drawingGrid.add(marker);
+    this.diagonalMeshes.set(cellKey, marker);
+  }
+
+  /**
+   * Gets the yaw of the 45° wall that cuts a corner from a cell
+   * @param {string} corner - Cut corner
+   * @returns {number} π/4 for a wall from the north-west to the south-east corner, -π/4 otherwise
+   */
+  getDiagonalWallRotation(corner) {
+    return corner === 'ne' || corner === 'sw' ? Math.PI / 4 : -Math.PI / 4;
+  }
+
+  /**
+   * Checks whether a drawn cell reaches a side; a diagonal cell leaves out the
+   * two sides that meet at its cut corner
+   * @param {Set<string>} grid - Drawn cell keys
+   * @param {Map<string, string>} diagonalCells - Cut corners by cell key
+   * @param {string} cellKey - Cell key ("x,z")
+   * @param {string} side - 'n', 'e', 's' or 'w'
+   * @returns {boolean} True if the cell has floor along that side
+   */
+  cellHasSide(grid, diagonalCells, cellKey, side) {
+    if (!grid.has(cellKey)) return false;
+
+    const corner = diagonalCells.get(cellKey);
+    return !corner || !corner.includes(side);
+  }
+
+  /**
+   * Flood fills the region of cells that share the clicked cell's state
+   * @param {Object} start - Clicked cell { x, z }
+   * @param {boolean} erase - Clear the region instead of flipping it
+   * @returns {boolean} True if any cell changed
+   */
+  applyFill(start, erase = false) {
+    const startSelected = this.selectedCells.has(`${start.x},${start.z}`);
+    const replacement = erase ? false : !startSelected;
+    if (replacement === startSelected) return false;
+
+    const queue = [start];
+    const visited = new Set();
+    let changed = false;
+
+    while (queue.length > 0) {
+      const { x, z } = queue.shift();
+      const cellKey = `${x},${z}`;
+      if (visited.has(cellKey)) continue;
+      visited.add(cellKey);
+
+      if (
+        x < 0 ||
+        x >= this.gridDivisions ||
+        z < 0 ||
+        z >= this.gridDivisions ||
+        this.selectedCells.has(cellKey) !== startSelected
+      ) {
+        continue;
+      }
+
+      changed = this.setCellSelected(cellKey, replacement) || changed;
+      queue.push({ x: x + 1, z }, { x: x - 1, z }, { x, z: z + 1 }, { x, z: z - 1 });
+    }
+
+    return changed;
+  }
+
+  /**
+   * Gets the cells of the rectangle spanned by two corner cells
+   */
+  getRectangleCells(start, end) {
+    const cells = [];
+    for (let x = Math.min(start.x, end.x); x <= Math.max(start.x, end.x); x++) {
+      for (let z = Math.min(start.z, end.z); z <= Math.max(start.z, end.z); z++) {
+        cells.push({ x, z });
+      }
+    }
+    return cells;
+  }
+
+  /**
+   * Gets the cells along a straight line between two cells (Bresenham)
+   */
+  getLineCells(start, end) {
+    const cells = [];
+    const stepX = Math.sign(end.x - start.x);
+    const stepZ = Math.sign(end.z - start.z);
+    const deltaX = Math.abs(end.x - start.x);
+    const deltaZ = Math.abs(end.z - start.z);
+    let error = deltaX - deltaZ;
+    let { x, z } = start;
+
+    cells.push({ x, z });
+    while (x !== end.x || z !== end.z) {
+      const doubled = 2 * error;
+      if (doubled > -deltaZ) {
+        error -= deltaZ;
+        x += stepX;
+      }
+      if (doubled < deltaX) {
+        error += deltaX;
+        z += stepZ;
+      }
+      cells.push({ x, z });
+    }
+    return cells;
+  }
+
+  /**
+   * Copies every storey's drawing layer for undo and redo
+   * @returns {Object} { activeStorey, layers }
+   */
+  createHistorySnapshot() {
+    return {
+      activeStorey: this.activeStorey,
+      layers: this.storeyLayers.map(layer => ({
+        selectedCells: new Set(layer.selectedCells),
+        wallOpenings: new Map(layer.wallOpenings),
+        partitionEdges: new Set(layer.partitionEdges),
+        diagonalCells: new Map(layer.diagonalCells)
+      }))
+    };
+  }
+
+  /**
+   * Restores the drawing layers from a history snapshot
+   */
+  restoreHistorySnapshot(snapshot) {
+    this.storeyLayers = snapshot.layers;
+    this.setActiveStorey(snapshot.activeStorey);
+
+    const storeyInput = document.getElementById('roomDrawStorey');
+    if (storeyInput) {
+      storeyInput.value = String(snapshot.activeStorey + 1);
+    }
+  }
+
+  /**
+   * Records the state before a drawing change; a new change clears the redo history
+   */
+  pushUndo(snapshot) {
+    this.undoStack.push(snapshot);
+    if (this.undoStack.length > DEFAULTS.ROOM.MAX_HISTORY) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+    this.updateHistoryButtons();
+  }
+
+  /**
+   * Undoes the last drawing change
+   */
+  undo() {
+    if (this.undoStack.length === 0) return;
+
+    this.redoStack.push(this.createHistorySnapshot());
+    this.restoreHistorySnapshot(this.undoStack.pop());
+    this.updateHistoryButtons();
+  }
+
+  /**
+   * Redoes the last undone drawing change
+   */
+  redo() {
+    if (this.redoStack.length === 0) return;
+
+    this.undoStack.push(this.createHistorySnapshot());
+    this.restoreHistorySnapshot(this.redoStack.pop());
+    this.updateHistoryButtons();
+  }
+
+  /**
+   * Enables the undo and redo buttons while there is history
+   */
+  updateHistoryButtons() {
+    const undoButton = document.getElementById('roomUndoBtn');
+    if (undoButton) {
+      undoButton.disabled = this.undoStack.length === 0;
+    }
+    const redoButton = document.getElementById('roomRedoBtn');
+    if (redoButton) {
+      redoButton.disabled = this.redoStack.length === 0;
+    }
+  }
+
+  /**
+   * Creates an empty drawing layer for one storey
+   * @returns {Object} { selectedCells, wallOpenings, partitionEdges }
+   */
+  createStoreyLayer() {
+    return {
+      selectedCells: new Set(), // Cell keys ("x,z")
+      wallOpenings: new Map(), // Edge key => 'door' or 'window'
+      partitionEdges: new Set(), // Edge keys of interior walls
+      diagonalCells: new Map() // Cell key => corner cut away by a 45° wall: 'nw', 'ne', 'se' or 'sw'
+    };
+  }
+
+  /**
+   * Switches the storey being drawn, showing that storey's layer in drawing mode
+   * @param {number} storey - Storey index, 0 for the ground floor
+   */
+  setActiveStorey(storey) {
+    while (this.storeyLayers.length <= storey) {
+      this.storeyLayers.push(this.createStoreyLayer());
+    }
+
+    const layer = this.storeyLayers[storey];
+    this.activeStorey = storey;
+    this.selectedCells = layer.selectedCells;
+    this.wallOpenings = layer.wallOpenings;
+    this.partitionEdges = layer.partitionEdges;
+    this.diagonalCells = layer.diagonalCells;
+
+    if (this.isDrawingMode && this.drawingGrid) {
+      this.clearSelectedCellMeshes();
+      this.restoreSelectedCells();
+      this.restoreEdgeMarkers();
+    }
+  }
+
+  /**
+   * Checks whether any storey has drawn cells
+   * @returns {boolean} True if there is something to generate
+   */
+  hasDrawnCells() {
+    return this.storeyLayers.some(layer => layer.selectedCells.size > 0);
+  }
+
+  /**
+   * Gets the layer used to build a storey; a storey with no cells of its own
+   * repeats the floor plan of the nearest storey below, including its diagonal
+   * walls but without its doorways, windows or partitions
+   * @param {number} storey - Storey index
+   * @returns {Object} { selectedCells, wallOpenings, partitionEdges, diagonalCells }
+   */
+  getStoreyBuildLayer(storey) {
+    const layer = this.storeyLayers[storey] || this.createStoreyLayer();
+    if (layer.selectedCells.size > 0) {
+      return layer;
+    }
+
+    for (let below = Math.min(storey, this.storeyLayers.length) - 1; below >= 0; below--) {
+      if (this.storeyLayers[below].selectedCells.size > 0) {
+        return {
+          ...layer,
+          selectedCells: this.storeyLayers[below].selectedCells,
+          diagonalCells: this.storeyLayers[below].diagonalCells
+        };
+      }
+    }
+    return layer;
+  }
+
+  /**
+   * Gets the selected drawing tool
+   * @returns {string} 'cells', 'rectangle', 'line', 'fill', 'diagonal', 'partition', 'door' or 'window'
+   */
+  getDrawingTool() {
+    return document.getElementById('roomDrawTool')?.value || 'cells';
+  }
+
+  /**
+   * Gets the key of a cell edge, shared by the two cells on either side
+   * "h,x,z" is the horizontal edge on the north side of cell (x, z);
+   * "v,x,z" is the vertical edge on its west side
+   * @param {number} x - Cell X
+   * @param {number} z - Cell Z
+   * @param {number} dx - -1 for the west edge, 1 for the east edge, 0 otherwise
+   * @param {number} dz - -1 for the north edge, 1 for the south edge, 0 otherwise
+   * @returns {string} Edge key
+   */
+  getCellEdgeKey(x, z, dx, dz) {
+    if (dz !== 0) {
+      return `h,${x},${dz < 0 ? z : z + 1}`;
+    }
+    return `v,${dx < 0 ? x : x + 1},${z}`;
+  }
+
+  /**
+   * Finds the cell edge closest to a point on the drawing grid
+   * @param {THREE.Vector3} point - World position on the grid
+   * @returns {string} Edge key
+   */
+  findNearestEdgeKey(point) {
+    const cellSize = this.gridSize / this.gridDivisions;
+    const gridX = (point.x + this.gridSize / 2) / cellSize;
+    const gridZ = (point.z + this.gridSize / 2) / cellSize;
+    const x = Math.min(Math.floor(gridX), this.gridDivisions - 1);
+    const z = Math.min(Math.floor(gridZ), this.gridDivisions - 1);
+    const fractionX = gridX - x;
+    const fractionZ = gridZ - z;
+
+    const sides = [
+      { distance: fractionZ, dx: 0, dz: -1 },
+      { distance: 1 - fractionZ, dx: 0, dz: 1 },
+      { distance: fractionX, dx: -1, dz: 0 },
+      { distance: 1 - fractionX, dx: 1, dz: 0 }
+    ];
+    const nearest = sides.reduce((best, side) => (side.distance < best.distance ? side : best));
+    return this.getCellEdgeKey(x, z, nearest.dx, nearest.dz);
+  }
+
+  /**
+   * Gets the world centre and wall rotation of a cell edge
+   * @param {string} edgeKey - Edge key
+   * @param {number} cellSize - Grid cell size
+   * @returns {Object} { x, z, rotation }
+   */
+  getEdgePlacement(edgeKey, cellSize) {
+    const [orientation, x, z] = edgeKey.split(',');
+    const halfGrid = this.gridSize / 2;
+    if (orientation === 'h') {
+      return { x: Number(x) * cellSize - halfGrid + cellSize / 2, z: Number(z) * cellSize - halfGrid, rotation: Math.PI / 2 };
+    }
+    return { x: Number(x) * cellSize - halfGrid, z: Number(z) * cellSize - halfGrid + cellSize / 2, rotation: 0 };
+  }
+
+  /**
+   * Gets the keys of the two cells on either side of an edge
+   * @param {string} edgeKey - Edge key
+   * @returns {string[]} Cell keys ("x,z")
+   */
+  getEdgeCellKeys(edgeKey) {
+    const [orientation, x, z] = edgeKey.split(',');
+    const cellX = Number(x);
+    const cellZ = Number(z);
+    return orientation === 'h'
+      ? [`${cellX},${cellZ - 1}`, `${cellX},${cellZ}`]
+      : [`${cellX - 1},${cellZ}`, `${cellX},${cellZ}`];
+  }
+
+  /**
+   * Marks an edge as a doorway or window, or clears it when it already has that mark
+   * @param {string} edgeKey - Edge key
+   * @param {string} kind - 'door' or 'window'
+   * @returns {boolean} True if the edge changed
+   */
+  toggleWallOpening(edgeKey, kind) {
+    return this.setWallOpening(edgeKey, this.wallOpenings.get(edgeKey) === kind ? null : kind);
+  }
+
+  /**
+   * Sets or clears the opening on an edge
+   * @param {string} edgeKey - Edge key
+   * @param {string|null} kind - 'door', 'window', or null to clear it
+   * @returns {boolean} True if the edge changed
+   */
+  setWallOpening(edgeKey, kind) {
+    if ((this.wallOpenings.get(edgeKey) ?? null) === kind) return false;
+
+    this.removeEdgeMarker(this.wallOpeningMeshes, edgeKey);
+    if (!kind) {
+      this.wallOpenings.delete(edgeKey);
+      return true;
+    }
+
+    this.wallOpenings.set(edgeKey, kind);
+    this.addEdgeMarker(this.wallOpeningMeshes, edgeKey, kind === 'door' ? COLORS.DOORWAY : COLORS.WINDOW, 0.1);
+    return true;
   }
 
   /**
-   * Removes mouse event listeners
+   * Adds or removes a partition wall on an edge
+   * @param {string} edgeKey - Edge key
+   * @returns {boolean} True if the edge changed
    */
-  removeMouseListeners() {
-    if (this.boundMouseClick) {
-      window.removeEventListener('click', this.boundMouseClick);
-      this.boundMouseClick = null;
-    }
-    if (this.boundMouseMove) {
-      window.removeEventListener('mousemove', this.boundMouseMove);
-      this.boundMouseMove = null;
+  togglePartitionEdge(edgeKey) {
+    return this.setPartitionEdge(edgeKey, !this.partitionEdges.has(edgeKey));
+  }
+
+  /**
+   * Sets whether an edge has a partition wall
+   * @param {string} edgeKey - Edge key
+   * @param {boolean} partition - True to add the partition, false to remove it
+   * @returns {boolean} True if the edge changed
+   */
+  setPartitionEdge(edgeKey, partition) {
+    if (this.partitionEdges.has(edgeKey) === partition) return false;
+
+    if (partition) {
+      this.partitionEdges.add(edgeKey);
+      this.addEdgeMarker(this.partitionMeshes, edgeKey, COLORS.PARTITION, 0.05);
+    } else {
+      this.partitionEdges.delete(edgeKey);
+      this.removeEdgeMarker(this.partitionMeshes, edgeKey);
     }
+    return true;
   }
 
   /**
-   * Handles mouse clicks on the drawing grid
+   * Adds a drawing-grid marker along an edge
+   * @param {Map} markers - Marker map to store it in, keyed by edge
+   * @param {string} edgeKey - Edge key
+   * @param {number} color - Marker color
+   * @param {number} height - Marker height as a share of the cell size; taller markers show on top
    */
-  onMouseClick(event) {
-    if (!this.isDrawingMode || !this.camera) return;
-    
-    this.updateMousePosition(event);
-    this.raycaster.setFromCamera(this.mouse, this.camera);
-    
-    const intersects = this.raycaster.intersectObjects(this.gridCells.flat());
-    if (intersects.length > 0) {
-      const clickedCell = intersects[0].object;
-      const cellKey = `${clickedCell.userData.gridX},${clickedCell.userData.gridZ}`;
-      
-      if (this.selectedCells.has(cellKey)) {
-        // Deselect cell
-        this.selectedCells.delete(cellKey);
-        this.removeSelectedCellVisual(clickedCell);
-      } else {
-        // Select cell
-        this.selectedCells.add(cellKey);
-        this.addSelectedCellVisual(clickedCell);
+  addEdgeMarker(markers, edgeKey, color, height) {
+    if (!this.drawingGrid) return;
+
+    const cellSize = this.gridSize / this.gridDivisions;
+    const { x, z, rotation } = this.getEdgePlacement(edgeKey, cellSize);
+    const geometry = new THREE.BoxGeometry(cellSize * 0.15, cellSize * height, cellSize * 0.8);
+    const material = new THREE.MeshBasicMaterial({ color });
+
+    const marker = new THREE.Mesh(geometry, material);
+    marker.position.set(x, 0.05, z);
+    marker.rotation.y = rotation;
+
+    this.drawingGrid.add(marker);
+    markers.set(edgeKey, marker);
+  }
+
+  /**
+   * Removes the drawing-grid marker of an edge
+   * @param {Map} markers - Marker map holding it
+   * @param {string} edgeKey - Edge key
+   */
+  removeEdgeMarker(markers, edgeKey) {
+    const marker = markers.get(edgeKey);
+    if (marker) {
+      if (marker.parent) {
+        marker.parent.remove(marker);
       }
+      markers.delete(edgeKey);
     }
   }
 
   /**
-   * Handles mouse movement for hover effects
+   * Restores markers for previously drawn partitions, doorways, windows and diagonal walls
    */
-  onMouseMove(event) {
-    if (!this.isDrawingMode || !this.camera) return;
-    
-    this.updateMousePosition(event);
-    this.raycaster.setFromCamera(this.mouse, this.camera);
-    
-    const intersects = this.raycaster.intersectObjects(this.gridCells.flat());
-    
-    // Reset all cells to default opacity
-    this.gridCells.flat().forEach(cell => {
-      const cellKey = `${cell.userData.gridX},${cell.userData.gridZ}`;
-      if (!this.selectedCells.has(cellKey)) {
-        cell.material.opacity = 0.1;
-      }
+  restoreEdgeMarkers() {
+    if (!this.drawingGrid) return;
+
+    this.partitionEdges.forEach((edgeKey) => {
+      this.addEdgeMarker(this.partitionMeshes, edgeKey, COLORS.PARTITION, 0.05);
+    });
+    this.wallOpenings.forEach((kind, edgeKey) => {
+      this.addEdgeMarker(this.wallOpeningMeshes, edgeKey, kind === 'door' ? COLORS.DOORWAY : COLORS.WINDOW, 0.1);
+    });
+    this.diagonalCells.forEach((corner, cellKey) => {
+      this.addDiagonalMarker(cellKey, corner);
     });
-    
-    // Highlight hovered cell
-    if (intersects.length > 0) {
-      const hoveredCell = intersects[0].object;
-      const cellKey = `${hoveredCell.userData.gridX},${hoveredCell.userData.gridZ}`;
-      if (!this.selectedCells.has(cellKey)) {
-        hoveredCell.material.opacity = 0.3;
-      }
-    }
   }
 
   /**
@@ -365,68 +1200,65 @@ export class Room extends BaseShape {
 
   /**
    * Adds visual indication for selected cell
+   * @param {string} cellKey - Cell key ("x,z")
    */
-  addSelectedCellVisual(cell) {
-    const geometry = new THREE.PlaneGeometry(
-      cell.geometry.parameters.width * 0.9,
-      cell.geometry.parameters.height * 0.9
-    );
-    const material = new THREE.MeshBasicMaterial({ 
-      color: COLORS.SELECTED_CELL,
-      transparent: true,
-      opacity: 0.7,
-      side: THREE.DoubleSide
-    });
-    
-    const selectedMesh = new THREE.Mesh(geometry, material);
-    selectedMesh.rotation.x = -Math.PI / 2;
-    selectedMesh.position.copy(cell.position);
-    selectedMesh.position.y += 0.01; // Slightly above cell
-    
-    this.drawingGrid.add(selectedMesh);
-    this.selectedCellMeshes.push(selectedMesh);
+  addSelectedCellVisual(cellKey) {
+    if (!this.selectedCellMesh || this.selectedCellSlots.has(cellKey)) return;
+
+    const [x, z] = cellKey.split(',').map(Number);
+    const index = this.selectedCellSlotKeys.length;
+    this.selectedCellSlots.set(cellKey, index);
+    this.selectedCellSlotKeys.push(cellKey);
+    this.setCellInstance(this.selectedCellMesh, index, x, z);
+    this.selectedCellMesh.count = this.selectedCellSlotKeys.length;
   }
 
   /**
-   * Removes visual indication for deselected cell
+   * Removes visual indication for deselected cell; the last instance moves into its slot
+   * @param {string} cellKey - Cell key ("x,z")
    */
-  removeSelectedCellVisual(cell) {
-    const cellPosition = cell.position;
-    const meshToRemove = this.selectedCellMeshes.find(mesh => 
-      Math.abs(mesh.position.x - cellPosition.x) < 0.1 &&
-      Math.abs(mesh.position.z - cellPosition.z) < 0.1
-    );
-    
-    if (meshToRemove) {
-      this.drawingGrid.remove(meshToRemove);
-      this.selectedCellMeshes = this.selectedCellMeshes.filter(mesh => mesh !== meshToRemove);
+  removeSelectedCellVisual(cellKey) {
+    const index = this.selectedCellSlots.get(cellKey);
+    if (!this.selectedCellMesh || index === undefined) return;
+
+    const lastKey = this.selectedCellSlotKeys.pop();
+    this.selectedCellSlots.delete(cellKey);
+    if (lastKey !== cellKey) {
+      const [x, z] = lastKey.split(',').map(Number);
+      this.selectedCellSlotKeys[index] = lastKey;
+      this.selectedCellSlots.set(lastKey, index);
+      this.setCellInstance(this.selectedCellMesh, index, x, z);
     }
+    this.selectedCellMesh.count = this.selectedCellSlotKeys.length;
   }
 
   /**
    * Clears all selected cell visual indicators
    */
   clearSelectedCellMeshes() {
-    this.selectedCellMeshes.forEach(mesh => {
-      if (mesh.parent) {
-        mesh.parent.remove(mesh);
-      }
+    this.selectedCellSlots = new Map();
+    this.selectedCellSlotKeys = [];
+    if (this.selectedCellMesh) {
+      this.selectedCellMesh.count = 0;
+    }
+
+    [this.wallOpeningMeshes, this.partitionMeshes, this.diagonalMeshes].forEach(markers => {
+      markers.forEach(marker => {
+        if (marker.parent) {
+          marker.parent.remove(marker);
+        }
+      });
+      markers.clear();
     });
-    this.selectedCellMeshes = [];
   }
 
   /**
    * Restores visual indicators for previously selected cells
    */
   restoreSelectedCells() {
-    if (!this.drawingGrid || !this.gridCells.length) return;
+    if (!this.selectedCellMesh) return;
     
-    this.selectedCells.forEach(cellKey => {
-      const [x, z] = cellKey.split(',').map(Number);
-      if (this.gridCells[x] && this.gridCells[x][z]) {
-        this.addSelectedCellVisual(this.gridCells[x][z]);
-      }
-    });
+    this.selectedCells.forEach(cellKey => this.addSelectedCellVisual(cellKey));
   }
 
   /**
@@ -438,12 +1270,23 @@ export class Room extends BaseShape {
       wallWidth: parseInt(document.getElementById("roomWallWidth").value) || this.defaultWallWidth,
       wallHeight: parseInt(document.getElementById("roomWallHeight").value) || this.defaultWallHeight,
       floorLength: parseInt(document.getElementById("roomFloorLength").value) || this.defaultFloorLength,
-      floorWidth: parseInt(document.getElementById("roomFloorWidth").value) || this.defaultFloorWidth
+      floorWidth: parseInt(document.getElementById("roomFloorWidth").value) || this.defaultFloorWidth,
+      storeys: parseInt(document.getElementById("roomStoreys")?.value) || DEFAULTS.ROOM.STOREYS,
+      wallCourses: parseInt(document.getElementById("roomWallCourses")?.value) || DEFAULTS.ROOM.WALL_COURSES,
+      ceiling: document.getElementById("roomCeiling")?.checked ?? DEFAULTS.ROOM.CEILING,
+      pillars: document.getElementById("roomPillars")?.checked ?? DEFAULTS.ROOM.PILLARS,
+      decorations: document.getElementById("roomDecorations")?.checked ?? DEFAULTS.ROOM.DECORATIONS,
+      decorationInterval: parseFloat(document.getElementById("roomDecorationInterval")?.value) || DEFAULTS.ROOM.DECORATION_INTERVAL,
+      decorationHeight: parseFloat(document.getElementById("roomDecorationHeight")?.value) || DEFAULTS.ROOM.DECORATION_HEIGHT
     };
   }
 
   /**
    * Generates rooms from selected cells
+   * Each storey is wallCourses wall pieces tall and starts with its own floor;
+   * upper floors and the optional ceiling use the same floor tiler; optional
+   * pillars cover the seams where walls meet, and optional decorations hang on
+   * the inside faces of the walls
    */
   generate(params) {
     const validation = this.validateInput(params);
@@ -451,7 +1294,7 @@ export class Room extends BaseShape {
       throw new Error(validation.error);
     }
 
-    if (this.selectedCells.size === 0) {
+    if (!this.hasDrawnCells()) {
       throw new Error("No cells selected. Please enter drawing mode and select cells first.");
     }
 
@@ -460,26 +1303,72 @@ export class Room extends BaseShape {
       wallWidth = this.defaultWallWidth,
       wallHeight = this.defaultWallHeight,
       floorLength = this.defaultFloorLength,
-      floorWidth = this.defaultFloorWidth
+      floorWidth = this.defaultFloorWidth,
+      storeys = DEFAULTS.ROOM.STOREYS,
+      wallCourses = DEFAULTS.ROOM.WALL_COURSES,
+      ceiling = DEFAULTS.ROOM.CEILING,
+      pillars = DEFAULTS.ROOM.PILLARS,
+      decorations = DEFAULTS.ROOM.DECORATIONS,
+      decorationInterval = DEFAULTS.ROOM.DECORATION_INTERVAL,
+      decorationHeight = DEFAULTS.ROOM.DECORATION_HEIGHT,
+      floorPieces = this.floorPieces
     } = params;
 
     this.clearPoints();
     this.clearGeneratedElements();
+    this.floorTilingReport = { uncoveredCells: 0, exact: true };
+    const floorOptions = { floorPieces };
 
-    // Convert selected cells to room layout
-    const roomLayout = this.convertSelectedCellsToLayout();
-    
-    // Find all disconnected islands
-    const islands = this.findDisconnectedIslands(roomLayout);
-    
-    // Process each island separately
-    islands.forEach(island => {
-      // Generate optimized floors for this island
-      this.generateOptimizedFloors(island, floorLength, floorWidth, wallLength);
+    // Keep the grid centred on the origin even if the wall length changed since drawing
+    this.gridSize = wallLength * this.gridDivisions;
+    const storeyHeight = wallCourses * wallHeight;
+
+    for (let storey = 0; storey < storeys; storey++) {
+      const layer = this.getStoreyBuildLayer(storey);
+      const wallOptions = {
+        wallOpenings: layer.wallOpenings,
+        diagonalCells: layer.diagonalCells,
+        baseY: storey * storeyHeight,
+        wallCourses,
+        storey,
+        wallSegments: pillars ? [] : null,
+        wallFaces: decorations ? [] : null
+      };
+
+      // Convert selected cells to room layout
+      const roomLayout = this.convertSelectedCellsToLayout(layer.selectedCells);
       
-      // Generate perimeter walls around this island
-      this.generatePerimeterWalls(island, wallLength, wallWidth, wallHeight);
-    });
+      // Find all disconnected islands
+      const islands = this.findDisconnectedIslands(roomLayout);
+      
+      // Process each island separately
+      islands.forEach(island => {
+        // Generate optimized floors for this island
+        this.generateIslandFloors(island, layer.diagonalCells, floorLength, floorWidth, wallLength, wallOptions.baseY, floorOptions);
+        
+        // Generate perimeter walls around this island
+        this.generatePerimeterWalls(island, wallLength, wallWidth, wallHeight, wallOptions);
+      });
+
+      // Interior walls drawn between selected cells
+      this.generatePartitionWalls(wallLength, wallWidth, wallHeight, { ...wallOptions, selectedCells: layer.selectedCells, partitionEdges: layer.partitionEdges });
+
+      if (wallOptions.wallSegments) {
+        this.generatePillars(wallOptions.wallSegments, wallWidth, wallHeight, wallOptions);
+      }
+      if (wallOptions.wallFaces) {
+        this.generateDecorations(wallOptions.wallFaces, wallWidth, { ...wallOptions, decorationInterval, decorationHeight });
+      }
+    }
+
+    // Ceiling over the top storey
+    if (ceiling) {
+      const topLayer = this.getStoreyBuildLayer(storeys - 1);
+      const topLayout = this.convertSelectedCellsToLayout(topLayer.selectedCells);
+      this.findDisconnectedIslands(topLayout).forEach(island => {
+        this.generateIslandFloors(island, topLayer.diagonalCells, floorLength, floorWidth, wallLength, storeys * storeyHeight, floorOptions);
+      });
+    }
     
     // Create center point
     this.centerPoint = this.createSphere(new THREE.Vector3(0, 0, 0), COLORS.CENTER_POINT);
@@ -490,9 +1379,9 @@ export class Room extends BaseShape {
   /**
    * Converts selected grid cells to a room layout structure
    */
-  convertSelectedCellsToLayout() {
+  convertSelectedCellsToLayout(selectedCells = this.selectedCells) {
     const layout = [];
-    this.selectedCells.forEach(cellKey => {
+    selectedCells.forEach(cellKey => {
       const [x, z] = cellKey.split(',').map(Number);
       layout.push({ x, z });
     });
@@ -548,17 +1437,52 @@ export class Room extends BaseShape {
     return islands;
   }
 
+  /**
+   * Floors one island: diagonal cells get a triangular floor each and the
+   * full cells are tiled with rectangles
+   * @param {Map<string, string>} diagonalCells - Cut corners by cell key
+   */
+  generateIslandFloors(island, diagonalCells, floorLength, floorWidth, wallLength, floorY, options) {
+    const fullCells = island.filter(cell => !diagonalCells.has(`${cell.x},${cell.z}`));
+    if (fullCells.length > 0) {
+      this.generateOptimizedFloors(fullCells, floorLength, floorWidth, wallLength, floorY, options);
+    }
+
+    island.forEach(({ x, z }) => {
+      const corner = diagonalCells.get(`${x},${z}`);
+      if (!corner) return;
+
+      this.floors.push(this.createTriangleFloorMesh(
+        new THREE.Vector3(
+          (x + 0.5) * wallLength - this.gridSize / 2,
+          floorY,
+          (z + 0.5) * wallLength - this.gridSize / 2
+        ),
+        wallLength,
+        corner
+      ));
+    });
+  }
+
   /**
    * Generates optimized floor tiles using smart rectangle packing
+   * With extra floor pieces listed, tiles exactly instead: the fewest pieces
+   * with no overlap and nothing hanging past the walls
    */
-  generateOptimizedFloors(roomLayout, floorLength, floorWidth, wallLength) {
+  generateOptimizedFloors(roomLayout, floorLength, floorWidth, wallLength, floorY = 0, options = {}) {
+    const { floorPieces = [] } = options;
+    if (floorPieces.length > 0) {
+      this.generateExactFloors(roomLayout, floorLength, floorWidth, wallLength, floorY, floorPieces);
+      return;
+    }
+
     // Convert grid cells to world coordinates and find rectangles
     const rectangles = this.findOptimalFloorRectangles(roomLayout, floorLength, floorWidth, wallLength);
     
     // Place floor pieces for each rectangle
     rectangles.forEach((rect, index) => {
       const floorMesh = this.createFloorMesh(
-        new THREE.Vector3(rect.x, 0, rect.z),
+        new THREE.Vector3(rect.x, floorY, rect.z),
         rect.pieceLength,
         0.2, // Small height for floor
         rect.pieceWidth,
@@ -569,6 +1493,51 @@ export class Room extends BaseShape {
     });
   }
 
+  /**
+   * Tiles a room exactly with the standard floor tile and the extra floor pieces;
+   * each floor records the piece it uses so it exports with that piece's template
+   * @param {Array<Object>} floorPieces - Extra pieces ({ id, length, width })
+   */
+  generateExactFloors(roomLayout, floorLength, floorWidth, wallLength, floorY, floorPieces) {
+    const toCells = (size) => size / wallLength;
+    const isWholeCells = (piece) => Number.isInteger(toCells(piece.length)) && Number.isInteger(toCells(piece.width));
+
+    floorPieces.forEach(piece => {
+      if (!isWholeCells(piece)) {
+        throw new Error(`Floor piece ${piece.length} x ${piece.width} does not fit whole ${wallLength}-unit cells`);
+      }
+    });
+
+    // The standard tile (id null) joins the list when it lines up with the cells
+    const standardTile = { id: null, length: floorLength, width: floorWidth };
+    const pieces = (isWholeCells(standardTile) ? [standardTile, ...floorPieces] : floorPieces).map(piece => ({
+      ...piece,
+      cellsX: toCells(piece.length),
+      cellsZ: toCells(piece.width)
+    }));
+
+    const tiling = tileFloorCells(roomLayout, pieces, { nodeLimit: DEFAULTS.ROOM.FLOOR_TILING_NODE_LIMIT });
+    this.floorTilingReport.uncoveredCells += tiling.uncovered.length;
+    this.floorTilingReport.exact = this.floorTilingReport.exact && tiling.exact;
+
+    tiling.placements.forEach(({ x, z, cellsX, cellsZ, piece, rotated }) => {
+      const floorMesh = this.createFloorMesh(
+        new THREE.Vector3(
+          (x + cellsX / 2) * wallLength - this.gridSize / 2,
+          floorY,
+          (z + cellsZ / 2) * wallLength - this.gridSize / 2
+        ),
+        cellsX * wallLength,
+        0.2, // Small height for floor
+        cellsZ * wallLength,
+        rotated ? Math.PI / 2 : 0
+      );
+      floorMesh.userData.floorPieceId = piece.id;
+
+      this.floors.push(floorMesh);
+    });
+  }
+
   /**
    * Finds optimal rectangles to place floor pieces with minimal overlap
    */
@@ -817,38 +1786,283 @@ export class Room extends BaseShape {
 
   /**
    * Generates walls around the perimeter of the room layout
-   * Creates individual wall pieces for each edge
+   * Creates individual wall pieces for each edge; doorway edges are left open
+   * and window edges get a window piece instead of a wall
+   * @param {Object} options - { wallOpenings, baseY, wallCourses, storey }
    */
-  generatePerimeterWalls(roomLayout, wallLength, wallWidth, wallHeight) {
+  generatePerimeterWalls(roomLayout, wallLength, wallWidth, wallHeight, options = {}) {
+    const { wallOpenings = this.wallOpenings, diagonalCells = new Map() } = options;
     const grid = new Set(roomLayout.map(cell => `${cell.x},${cell.z}`));
     
     roomLayout.forEach(cell => {
       const { x, z } = cell;
+      const cellKey = `${x},${z}`;
       
       // Check all four edges of this cell
       const edges = [
-        { dx: 0, dz: -1, wallX: 0, wallZ: -0.5, rotation: Math.PI / 2 }, // North wall (horizontal)
-        { dx: 0, dz: 1, wallX: 0, wallZ: 0.5, rotation: Math.PI / 2 },   // South wall (horizontal)
-        { dx: 1, dz: 0, wallX: 0.5, wallZ: 0, rotation: 0 }, // East wall (vertical)
-        { dx: -1, dz: 0, wallX: -0.5, wallZ: 0, rotation: 0 }  // West wall (vertical)
+        { dx: 0, dz: -1, wallX: 0, wallZ: -0.5, rotation: Math.PI / 2, side: 'n', opposite: 's' }, // North wall (horizontal)
+        { dx: 0, dz: 1, wallX: 0, wallZ: 0.5, rotation: Math.PI / 2, side: 's', opposite: 'n' },   // South wall (horizontal)
+        { dx: 1, dz: 0, wallX: 0.5, wallZ: 0, rotation: 0, side: 'e', opposite: 'w' }, // East wall (vertical)
+        { dx: -1, dz: 0, wallX: -0.5, wallZ: 0, rotation: 0, side: 'w', opposite: 'e' }  // West wall (vertical)
       ];
+
+      // A diagonal cell is closed by its 45° wall instead of the sides at the cut corner
+      const corner = diagonalCells.get(cellKey);
+      if (corner) {
+        const worldX = (x + 0.5) * wallLength - this.gridSize / 2;
+        const worldZ = (z + 0.5) * wallLength - this.gridSize / 2;
+        const rotation = this.getDiagonalWallRotation(corner);
+        this.addWallCourses(worldX, worldZ, rotation, wallLength * Math.SQRT2, wallWidth, wallHeight, null, {
+          ...options,
+          diagonal: true
+        });
+
+        // The inside face looks away from the cut corner
+        const normalX = (corner.includes('w') ? 1 : -1) * Math.SQRT1_2;
+        const normalZ = (corner.includes('n') ? 1 : -1) * Math.SQRT1_2;
+        this.addWallFace(options.wallFaces, worldX, worldZ, rotation, wallLength * Math.SQRT2, normalX, normalZ, null);
+      }
       
       edges.forEach(edge => {
         const neighborKey = `${x + edge.dx},${z + edge.dz}`;
-        if (!grid.has(neighborKey)) {
+        if (
+          this.cellHasSide(grid, diagonalCells, cellKey, edge.side) &&
+          !this.cellHasSide(grid, diagonalCells, neighborKey, edge.opposite)
+        ) {
           // This edge needs a wall
           const worldX = (x * wallLength) - (this.gridSize / 2) + (wallLength / 2) + (edge.wallX * wallLength);
           const worldZ = (z * wallLength) - (this.gridSize / 2) + (wallLength / 2) + (edge.wallZ * wallLength);
+          const opening = wallOpenings.get(this.getCellEdgeKey(x, z, edge.dx, edge.dz));
           
-          const wallMesh = this.createWallMesh(
-            new THREE.Vector3(worldX, 0, worldZ),
-            wallWidth,
-            wallHeight,
-            wallLength,
-            edge.rotation
+          this.addWallCourses(worldX, worldZ, edge.rotation, wallLength, wallWidth, wallHeight, opening, options);
+          this.addWallFace(options.wallFaces, worldX, worldZ, edge.rotation, wallLength, -edge.dx, -edge.dz, opening);
+        }
+      });
+    });
+  }
+
+  /**
+   * Generates the partition walls drawn on edges between two selected cells
+   * Edges on the perimeter already have a wall and edges outside the room are skipped,
+   * as are edges a diagonal cell leaves out; doorway and window marks apply as they do
+   * on the perimeter
+   * @param {Object} options - { selectedCells, diagonalCells, partitionEdges, wallOpenings, baseY, wallCourses, storey }
+   */
+  generatePartitionWalls(wallLength, wallWidth, wallHeight, options = {}) {
+    const {
+      selectedCells = this.selectedCells,
+      diagonalCells = new Map(),
+      partitionEdges = this.partitionEdges,
+      wallOpenings = this.wallOpenings
+    } = options;
+
+    partitionEdges.forEach(edgeKey => {
+      // Without floor on both sides the edge is on the perimeter, or outside the room
+      const sides = edgeKey.startsWith('h') ? ['s', 'n'] : ['e', 'w'];
+      const isInterior = this.getEdgeCellKeys(edgeKey)
+        .every((cellKey, index) => this.cellHasSide(selectedCells, diagonalCells, cellKey, sides[index]));
+      if (!isInterior) return;
+
+      const { x, z, rotation } = this.getEdgePlacement(edgeKey, wallLength);
+      const opening = wallOpenings.get(edgeKey);
+      this.addWallCourses(x, z, rotation, wallLength, wallWidth, wallHeight, opening, { ...options, partition: true });
+
+      // Both faces of a partition are inside the room
+      const normalX = Math.cos(rotation);
+      const normalZ = -Math.sin(rotation);
+      this.addWallFace(options.wallFaces, x, z, rotation, wallLength, normalX, normalZ, opening);
+      this.addWallFace(options.wallFaces, x, z, rotation, wallLength, -normalX, -normalZ, opening);
+    });
+  }
+
+  /**
+   * Records the inside face of a wall for decorations
+   * @param {Array<Object>|null} wallFaces - Faces built this storey, or null when not collecting
+   * @param {number} normalX - X of the unit normal pointing into the room
+   * @param {number} normalZ - Z of the unit normal pointing into the room
+   * @param {string|undefined} opening - 'door', 'window' or undefined
+   */
+  addWallFace(wallFaces, worldX, worldZ, rotation, length, normalX, normalZ, opening) {
+    if (!wallFaces) return;
+    wallFaces.push({ x: worldX, z: worldZ, rotation, length, normalX, normalZ, opening });
+  }
+
+  /**
+   * Stacks wall pieces on one edge, one per wall course
+   * A doorway leaves out the bottom course and a window replaces it; the courses
+   * above stay as walls
+   * @param {string|undefined} opening - 'door', 'window' or undefined
+   * @param {Object} options - { baseY, wallCourses, storey, partition, diagonal, wallSegments }
+   */
+  addWallCourses(worldX, worldZ, rotation, wallLength, wallWidth, wallHeight, opening, options = {}) {
+    const { baseY = 0, wallCourses = 1, storey = 0, partition = false, diagonal = false, wallSegments = null } = options;
+
+    // Doorways are recorded too, so generatePillars can frame them
+    if (wallSegments) {
+      wallSegments.push({ x: worldX, z: worldZ, rotation, length: wallLength, opening });
+    }
+
+    for (let course = 0; course < wallCourses; course++) {
+      if (course === 0 && opening === 'door') continue;
+
+      const type = course === 0 && opening === 'window' ? 'window' : 'wall';
+      const wallMesh = this.createWallMesh(
+        new THREE.Vector3(worldX, baseY + course * wallHeight, worldZ),
+        wallWidth,
+        wallHeight,
+        wallLength,
+        rotation,
+        type
+      );
+      wallMesh.userData.storey = storey;
+      if (partition) {
+        wallMesh.userData.partition = true;
+      }
+      if (diagonal) {
+        wallMesh.userData.diagonal = true;
+      }
+
+      if (type === 'window') {
+        this.windows.push(wallMesh);
+      } else {
+        this.walls.push(wallMesh);
+      }
+    }
+  }
+
+  /**
+   * Places a pillar, one per wall course, at every corner and junction of a storey's walls
+   * and at both sides of every doorway. Other wall ends that only continue straight on
+   * get no pillar, nor does the middle of a doorway several cells wide
+   * @param {Array<Object>} wallSegments - Walls built this storey: { x, z, rotation, length, opening }
+   * @param {Object} options - { baseY, wallCourses, storey }
+   */
+  generatePillars(wallSegments, wallWidth, wallHeight, options = {}) {
+    const { baseY = 0, wallCourses = 1, storey = 0 } = options;
+    const junctions = new Map();
+
+    wallSegments.forEach(({ x, z, rotation, length, opening }) => {
+      const dx = Math.sin(rotation) * length / 2;
+      const dz = Math.cos(rotation) * length / 2;
+
+      [[x + dx, z + dz, 1], [x - dx, z - dz, -1]].forEach(([endX, endZ, sign]) => {
+        const key = `${endX.toFixed(3)},${endZ.toFixed(3)}`;
+        if (!junctions.has(key)) {
+          junctions.set(key, { x: endX, z: endZ, directions: new Set(), doorways: 0, walls: 0 });
+        }
+        // Direction from the junction back along the wall, in eighths of a turn
+        const junction = junctions.get(key);
+        const direction = Math.round(Math.atan2(-sign * dz, -sign * dx) / (Math.PI / 4));
+        junction.directions.add((direction + 8) % 8);
+        junction[opening === 'door' ? 'doorways' : 'walls']++;
+      });
+    });
+
+    junctions.forEach(({ x, z, directions, doorways, walls }) => {
+      const list = Array.from(directions);
+      const isStraight = list.length === 2 && (list[0] + 4) % 8 === list[1];
+      const isDoorwaySide = doorways > 0 && walls > 0;
+      if (list.length < 2 || (isStraight && !isDoorwaySide)) return;
+
+      for (let course = 0; course < wallCourses; course++) {
+        const pillar = this.createPillarMesh(new THREE.Vector3(x, baseY + course * wallHeight, z), wallWidth, wallHeight);
+        pillar.userData.storey = storey;
+        this.pillars.push(pillar);
+      }
+    });
+  }
+
+  /**
+   * Hangs decorations at a fixed interval along the inside faces of a storey's walls
+   * Faces in line with each other are joined into runs; doorways and walls meeting
+   * the face split them, and each run gets as many decorations as fit, centred along it
+   * @param {Array<Object>} wallFaces - Faces recorded by addWallFace
+   * @param {Object} options - { baseY, storey, decorationInterval, decorationHeight }
+   */
+  generateDecorations(wallFaces, wallWidth, options = {}) {
+    const {
+      baseY = 0,
+      storey = 0,
+      decorationInterval = DEFAULTS.ROOM.DECORATION_INTERVAL,
+      decorationHeight = DEFAULTS.ROOM.DECORATION_HEIGHT
+    } = options;
+
+    const getEnds = face => {
+      const dx = Math.sin(face.rotation) * face.length / 2;
+      const dz = Math.cos(face.rotation) * face.length / 2;
+      return [[face.x + dx, face.z + dz], [face.x - dx, face.z - dz]];
+    };
+
+    // Group faces on the same line facing the same way, measured along the line
+    const lines = new Map();
+    wallFaces.forEach(face => {
+      if (face.opening === 'door') return;
+
+      const tangentX = Math.sin(face.rotation);
+      const tangentZ = Math.cos(face.rotation);
+      const along = face.x * tangentX + face.z * tangentZ;
+      const key = [face.normalX, face.normalZ, face.x * face.normalX + face.z * face.normalZ].map(value => value.toFixed(3)).join(',');
+
+      if (!lines.has(key)) {
+        lines.set(key, { face, tangentX, tangentZ, spans: [] });
+      }
+      lines.get(key).spans.push([along - face.length / 2, along + face.length / 2]);
+    });
+
+    lines.forEach(({ face, tangentX, tangentZ, spans }) => {
+      const lineOffset = face.x * face.normalX + face.z * face.normalZ;
+      spans.sort((a, b) => a[0] - b[0]);
+
+      const runs = [];
+      spans.forEach(([start, end]) => {
+        const last = runs[runs.length - 1];
+        if (last && start - last[1] < 1e-3) {
+          last[1] = end;
+        } else {
+          runs.push([start, end]);
+        }
+      });
+
+      // Walls that end on this face from the room side split its runs
+      const splits = [];
+      wallFaces.forEach(other => {
+        if (Math.abs(Math.sin(other.rotation - face.rotation)) < 1e-3) return;
+
+        const [first, second] = getEnds(other);
+        [[first, second], [second, first]].forEach(([[endX, endZ], [farX, farZ]]) => {
+          const onLine = Math.abs(endX * face.normalX + endZ * face.normalZ - lineOffset) < 1e-3;
+          const inRoom = farX * face.normalX + farZ * face.normalZ - lineOffset > 1e-3;
+          if (onLine && inRoom) {
+            splits.push(endX * tangentX + endZ * tangentZ);
+          }
+        });
+      });
+      splits.forEach(split => {
+        const index = runs.findIndex(([start, end]) => split - start > 1e-3 && end - split > 1e-3);
+        if (index !== -1) {
+          const [start, end] = runs[index];
+          runs.splice(index, 1, [start, split], [split, end]);
+        }
+      });
+
+      // Point the decoration at the room and sit it on the wall's inside face
+      const facingYaw = Math.atan2(face.normalX, face.normalZ);
+      const offset = lineOffset + wallWidth / 2;
+
+      runs.forEach(([start, end]) => {
+        const count = Math.floor((end - start) / decorationInterval + 1e-6);
+        const first = (start + end) / 2 - ((count - 1) * decorationInterval) / 2;
+
+        for (let index = 0; index < count; index++) {
+          const along = first + index * decorationInterval;
+          const position = new THREE.Vector3(
+            tangentX * along + face.normalX * offset,
+            baseY + decorationHeight,
+            tangentZ * along + face.normalZ * offset
           );
-          
-          this.walls.push(wallMesh);
+          const decoration = this.createDecorationMesh(position, facingYaw, wallWidth);
+          decoration.userData.storey = storey;
+          this.decorations.push(decoration);
         }
       });
     });
@@ -980,7 +2194,7 @@ export class Room extends BaseShape {
    */
   clearGeneratedElements() {
     // Remove wall meshes from scene
-    this.walls.forEach((wall) => {
+    [...this.walls, ...this.windows, ...this.pillars, ...this.decorations].forEach((wall) => {
       if (wall.children.length > 0) {
         wall.children.forEach((child) => wall.remove(child));
       }
@@ -996,6 +2210,9 @@ export class Room extends BaseShape {
     });
     
     this.walls = [];
+    this.windows = [];
+    this.pillars = [];
+    this.decorations = [];
     this.floors = [];
   }
 
@@ -1013,11 +2230,12 @@ export class Room extends BaseShape {
 
   /**
    * Creates a 3D wall mesh like in the maze system
+   * Window pieces use the same shape with their own type and color
    */
-  createWallMesh(position, width, height, length, rotation) {
+  createWallMesh(position, width, height, length, rotation, type = 'wall') {
     const geometry = new THREE.BoxGeometry(width, height, length);
     const material = new THREE.MeshPhongMaterial({
-      color: COLORS.WALL,
+      color: type === 'window' ? COLORS.WINDOW : COLORS.WALL,
       flatShading: true,
       shininess: 0,
       emissive: COLORS.WALL_EMISSIVE,
@@ -1028,7 +2246,7 @@ export class Room extends BaseShape {
     wall.position.copy(position);
     wall.rotation.y = rotation;
     wall.userData = { 
-      type: 'wall',
+      type,
       rotationY: rotation 
     };
 
@@ -1046,6 +2264,62 @@ export class Room extends BaseShape {
     return wall;
   }
 
+  /**
+   * Creates a square pillar as wide as the walls; pillars export with the uploaded pillar template
+   */
+  createPillarMesh(position, width, height) {
+    const geometry = new THREE.BoxGeometry(width, height, width);
+    const material = new THREE.MeshPhongMaterial({
+      color: COLORS.PILLAR,
+      flatShading: true,
+      shininess: 0,
+      emissive: COLORS.WALL_EMISSIVE,
+      specular: COLORS.WALL_SPECULAR,
+    });
+
+    const pillar = new THREE.Mesh(geometry, material);
+    pillar.position.copy(position);
+    pillar.userData = {
+      type: 'pillar',
+      rotationY: 0
+    };
+
+    const edges = new THREE.EdgesGeometry(geometry);
+    const edgesMaterial = new THREE.LineBasicMaterial({
+      color: COLORS.EDGE,
+      linewidth: 2,
+    });
+    pillar.add(new THREE.LineSegments(edges, edgesMaterial));
+
+    this.scene.add(pillar);
+    this.allPoints.push(pillar);
+    return pillar;
+  }
+
+  /**
+   * Creates a flat marker for a wall decoration; facingYaw turns its front (+Z) into the room
+   */
+  createDecorationMesh(position, facingYaw, wallWidth) {
+    const geometry = new THREE.BoxGeometry(1, 1, Math.min(wallWidth, 1) / 2);
+    const material = new THREE.MeshPhongMaterial({
+      color: COLORS.DECORATION,
+      flatShading: true,
+      shininess: 0,
+    });
+
+    const decoration = new THREE.Mesh(geometry, material);
+    decoration.position.copy(position);
+    decoration.rotation.y = facingYaw;
+    decoration.userData = {
+      type: 'decoration',
+      facingYaw
+    };
+
+    this.scene.add(decoration);
+    this.allPoints.push(decoration);
+    return decoration;
+  }
+
   /**
    * Creates a 3D floor mesh like in the maze system
    */
@@ -1087,6 +2361,55 @@ export class Room extends BaseShape {
     return floor;
   }
 
+  /**
+   * Creates a triangular floor for a diagonal cell, leaving the cut corner bare
+   * The export yaw (userData.rotationY) is 0 for a floor cut at the south-east
+   * corner and turns by π/2 for each corner after it: north-east, north-west, south-west
+   * @param {THREE.Vector3} position - Cell centre
+   * @param {number} size - Cell size
+   * @param {string} corner - Cut corner
+   */
+  createTriangleFloorMesh(position, size, corner) {
+    const half = size / 2;
+    const cornerPoints = { nw: [-half, -half], ne: [half, -half], se: [half, half], sw: [-half, half] };
+
+    // Shape coordinates are (x, -z) so the extrusion can be turned flat onto the ground
+    const shape = new THREE.Shape(
+      DIAGONAL_CORNERS.filter(name => name !== corner).map(name => new THREE.Vector2(cornerPoints[name][0], -cornerPoints[name][1]))
+    );
+    const geometry = new THREE.ExtrudeGeometry(shape, { depth: 0.2, bevelEnabled: false });
+    geometry.rotateX(-Math.PI / 2);
+    geometry.translate(0, -0.1, 0);
+
+    const material = new THREE.MeshPhongMaterial({
+      color: COLORS.FLOOR,
+      flatShading: true,
+      shininess: 0,
+      emissive: COLORS.FLOOR_EMISSIVE,
+      specular: COLORS.FLOOR_SPECULAR,
+    });
+
+    const floor = new THREE.Mesh(geometry, material);
+    floor.position.copy(position);
+    floor.userData = {
+      type: 'floor',
+      floorShape: 'triangle',
+      cutCorner: corner,
+      rotationY: { se: 0, ne: Math.PI / 2, nw: Math.PI, sw: -Math.PI / 2 }[corner]
+    };
+
+    const edges = new THREE.EdgesGeometry(geometry);
+    const edgesMaterial = new THREE.LineBasicMaterial({
+      color: COLORS.FLOOR_EDGE,
+      linewidth: 2,
+    });
+    floor.add(new THREE.LineSegments(edges, edgesMaterial));
+
+    this.scene.add(floor);
+    this.allPoints.push(floor);
+    return floor;
+  }
+
   /**
    * Updates button text to match the current room state
    */
@@ -1095,6 +2418,9 @@ export class Room extends BaseShape {
     if (button) {
       button.textContent = this.isDrawingMode ? "Exit Drawing Mode" : "Enter Drawing Mode";
     }
+    if (this.onDrawingModeChange) {
+      this.onDrawingModeChange(this.isDrawingMode);
+    }
   }
 
   /**
@@ -1150,7 +2476,59 @@ export class Room extends BaseShape {
     // Clear room-specific elements without calling super.clearPoints()
     // This avoids interfering with the parent wheel's BaseShape functionality
     this.clearGeneratedElements();
-    this.selectedCells.clear();
+    if (this.storeyLayers[0].selectedCells.size > 0) {
+      this.lastSelectedCells = new Set(this.storeyLayers[0].selectedCells);
+    }
+    this.storeyLayers = [this.createStoreyLayer()];
+    this.setActiveStorey(0);
+    this.undoStack = [];
+    this.redoStack = [];
+    this.updateHistoryButtons();
     this.ensureCorrectInitialState();
   }
+
+  /**
+   * Gets the drawn floor plan with the given generation settings, for saving or sharing
+   * @param {Object} settings - Generation parameters
+   * @returns {Object} Room plan
+   */
+  getRoomPlan(settings = this.getGenerationParameters()) {
+    return createRoomPlan({
+      gridDivisions: this.gridDivisions,
+      storeyLayers: this.storeyLayers,
+      settings
+    });
+  }
+
+  /**
+   * Replaces the drawing with a saved floor plan
+   * @param {Object} plan - Validated room plan
+   */
+  loadRoomPlan(plan) {
+    this.storeyLayers = roomPlanToLayers(plan);
+    this.gridDivisions = plan.gridDivisions;
+    this.activeStorey = 0;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.updateHistoryButtons();
+
+    if (this.isDrawingMode) {
+      // Rebuild the grid at the plan's size; this also restores the plan's markings
+      this.createDrawingGrid(plan.settings.wallLength || this.defaultWallLength);
+      this.setActiveStorey(0);
+      this.updateButtonText();
+    } else {
+      this.setActiveStorey(0);
+    }
+  }
+
+  /**
+   * Gets the ground storey's drawn cell keys ("x,z"), falling back to the cells
+   * drawn before switching away from Room mode
+   * @returns {Set<string>} Drawn cell keys
+   */
+  getDrawnCellKeys() {
+    const groundCells = this.storeyLayers[0].selectedCells;
+    return groundCells.size > 0 ? groundCells : this.lastSelectedCells;
+  }
 }
\ No newline at end of file
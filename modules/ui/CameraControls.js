@@ -415,6 +415,10 @@ export class CameraControls {
         return maze.allPoints;
       case "maze3d":
         return maze3d.allPoints;
+      case "circularMaze":
+        return wheel.circularMazeShape.allPoints;
+      case "hexMaze":
+        return wheel.hexMazeShape.allPoints;
       default:
         return wheel.allPoints;
     }
@@ -474,6 +478,26 @@ export class CameraControls {
     this.lastQuaternion.copy(this.sceneManager.camera.quaternion);
   }
 
+  /**
+   * Switch to a top-down plan view for drawing on a ground grid, where left-drag
+   * pans instead of rotating; turning it off restores rotation without moving the camera
+   * @param {boolean} enabled - Whether plan view is on
+   * @param {number} size - Width of the area to fit in view
+   */
+  setPlanView(enabled, size = SCALING.CAMERA_DISTANCE) {
+    this.mouseButtons.LEFT = enabled ? THREE.MOUSE.PAN : THREE.MOUSE.ROTATE;
+    if (!enabled) return;
+
+    const halfFov = this.toRadians(this.sceneManager.camera.fov / 2);
+    const distance = Math.max(this.minDistance, Math.min(this.maxDistance, (size * 0.6) / Math.tan(halfFov)));
+
+    // A slight southward offset keeps north at the top of the screen
+    this.target.set(0, 0, 0);
+    this.sceneManager.camera.position.set(0, distance, distance * 0.001);
+    this.sceneManager.camera.lookAt(this.target);
+    this.updateCameraState();
+  }
+
   /**
    * Set camera to a specific predefined view
    */
@@ -81,6 +81,10 @@ export class CoordinatesDisplay {
         return this.maze.allPoints;
       case "maze3d":
         return this.maze3d.allPoints;
+      case "circularMaze":
+        return this.wheel.circularMazeShape.allPoints;
+      case "hexMaze":
+        return this.wheel.hexMazeShape.allPoints;
       default:
         return this.wheel.allPoints;
     }
@@ -97,6 +101,12 @@ export class CoordinatesDisplay {
       case "maze3d":
         this.maze3d.highlightPoint(index);
         break;
+      case "circularMaze":
+        this.wheel.circularMazeShape.highlightPoint(index);
+        break;
+      case "hexMaze":
+        this.wheel.hexMazeShape.highlightPoint(index);
+        break;
       default:
         this.wheel.highlightPoint(index);
         break;
@@ -114,6 +124,12 @@ export class CoordinatesDisplay {
       case "maze3d":
         this.maze3d.resetPointColor(index);
         break;
+      case "circularMaze":
+        this.wheel.circularMazeShape.resetPointColor(index);
+        break;
+      case "hexMaze":
+        this.wheel.hexMazeShape.resetPointColor(index);
+        break;
       default:
         this.wheel.resetPointColor(index);
         break;
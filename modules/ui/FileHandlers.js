@@ -1,4 +1,14 @@
 import { validateJsonFile } from '../utils/validators.js';
+import { createRandomGenerator } from '../utils/randomization.js';
+
+/**
+ * Where the design for each kind of Particle Field branch point is kept, by particleRole
+ */
+const PARTICLE_BRANCH_DESIGN_FIELDS = {
+  sideRoute: "uploadedParticleSideRouteDesign",
+  deadEnd: "uploadedParticleDeadEndDesign",
+  shortcut: "uploadedParticleShortcutDesign",
+};
 
 /**
  * Handles file upload, download, processing and JSON operations
@@ -7,9 +17,22 @@ export class FileHandlers {
   constructor() {
     this.uploadedDesign = null;
     this.uploadedFloorDesign = null;
+    this.uploadedStairDesign = null;
+    this.uploadedPathDesign = null;
     this.uploadedRoomFloorDesign = null;
+    this.uploadedRoomTriangleFloorDesign = null;
+    this.uploadedWindowDesign = null;
+    this.uploadedDiagonalWallDesign = null;
+    this.uploadedPillarDesign = null;
+    this.uploadedDecorationDesign = null;
+    this.roomFloorPieces = []; // Extra Room floor pieces: { id, length, width, design }
+    this.nextRoomFloorPieceId = 1;
     this.uploadedParticleJumpTemplate = null;
     this.particleJumpTemplateMetrics = null;
+    this.uploadedParticleRestDesign = null;
+    this.uploadedParticleSideRouteDesign = null;
+    this.uploadedParticleDeadEndDesign = null;
+    this.uploadedParticleShortcutDesign = null;
     this.processedDesign = null;
   }
 
@@ -84,6 +107,45 @@ export class FileHandlers {
     }
   }
 
+  /**
+   * Handle the upload of a design placed at one kind of point in place of the
+   * main design
+   * @param {Event} event - File input change event
+   * @param {string} label - Name used in messages, e.g. "Path"
+   * @param {string} field - Property the design is kept in, e.g. "uploadedPathDesign"
+   */
+  handleDesignUpload(event, label, field) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    try {
+      validateJsonFile(file);
+
+      const reader = new FileReader();
+      reader.onload = (e) => {
+        try {
+          const jsonData = JSON.parse(e.target.result);
+
+          // Validate JSON structure
+          if (!jsonData.name) {
+            throw new Error(`${label} JSON file must contain a 'name' property`);
+          }
+          if (!jsonData.transform) {
+            throw new Error(`${label} JSON file must contain a 'transform' property`);
+          }
+
+          this[field] = jsonData;
+          console.log(`${label} file uploaded successfully:`, jsonData.name);
+        } catch (parseError) {
+          alert(`Invalid ${label.toLowerCase()} JSON file: ${parseError.message}`);
+        }
+      };
+      reader.readAsText(file);
+    } catch (error) {
+      alert(`${label} File Upload Error: ${error.message}`);
+    }
+  }
+
   /**
    * Handle room floor design file upload
    */
@@ -119,6 +181,60 @@ export class FileHandlers {
     }
   }
 
+  /**
+   * Handle an extra room floor piece upload; the piece is used for exact floor tiling
+   * @param {Event} event - File input change event
+   * @param {number} length - Piece length
+   * @param {number} width - Piece width
+   * @param {Function} onAdded - Called once the piece is in the list
+   */
+  handleRoomFloorPieceUpload(event, length, width, onAdded) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    try {
+      validateJsonFile(file);
+      if (!Number.isFinite(length) || length <= 0 || !Number.isFinite(width) || width <= 0) {
+        throw new Error("Enter the piece length and width before choosing its file");
+      }
+
+      const reader = new FileReader();
+      reader.onload = (e) => {
+        try {
+          const jsonData = JSON.parse(e.target.result);
+
+          // Validate JSON structure
+          if (!jsonData.name) {
+            throw new Error("Floor piece JSON file must contain a 'name' property");
+          }
+          if (!jsonData.transform) {
+            throw new Error("Floor piece JSON file must contain a 'transform' property");
+          }
+
+          this.roomFloorPieces.push({ id: this.nextRoomFloorPieceId++, length, width, design: jsonData });
+          console.log(`Floor piece uploaded successfully: ${jsonData.name} (${length} x ${width})`);
+          if (onAdded) onAdded();
+        } catch (parseError) {
+          alert(`Invalid floor piece JSON file: ${parseError.message}`);
+        }
+      };
+      reader.readAsText(file);
+    } catch (error) {
+      alert(`Floor Piece Upload Error: ${error.message}`);
+    }
+
+    // Allow the same file to be added again with another size
+    event.target.value = "";
+  }
+
+  /**
+   * Remove an extra room floor piece
+   * @param {number} id - Piece id
+   */
+  removeRoomFloorPiece(id) {
+    this.roomFloorPieces = this.roomFloorPieces.filter((piece) => piece.id !== id);
+  }
+
   /**
    * Handle Particle Field jump template upload.
    */
@@ -234,13 +350,32 @@ export class FileHandlers {
       return false;
     }
 
-    const points = this.getPointsForShape(shapeType, wheel, maze, maze3d);
-    if (!points || points.length < 1) {
+    const shapePoints = this.getPointsForShape(shapeType, wheel, maze, maze3d);
+    if (!shapePoints || shapePoints.length < 1) {
       alert("Please generate points first.");
       return false;
     }
 
+    // Merged maze walls are either stretched or placed again once per cell. Stretching
+    // only scales the root item, so multi-part wall designs are always repeated.
+    const hasWallAttachments = Array.isArray(primaryDesign.attachments) && primaryDesign.attachments.length > 0;
+    const points = options.mergedWallExport === "repeat" || hasWallAttachments
+      ? shapePoints.flatMap((point) => this.splitMergedWall(point))
+      : shapePoints;
+
+    // Half-cell floors beside Room diagonal walls need a triangle design; a square one would stick out
+    const hasTriangleFloors = shapeType === "room" && points.some((point) => point.userData?.floorShape === "triangle");
+    if (hasTriangleFloors && !this.uploadedRoomTriangleFloorDesign) {
+      alert("This room has diagonal walls. Please upload a triangle floor design for the half cells beside them first.");
+      return false;
+    }
+
     try {
+      const processingOptions = {
+        ...options,
+        random: createRandomGenerator(options.seed),
+      };
+
       this.processedDesign = {
         ...primaryDesign,
         attachments: [],
@@ -256,17 +391,50 @@ export class FileHandlers {
           designToUse = this.uploadedFloorDesign || primaryDesign;
         }
 
+        // For 3D maze, use stair design for stairs between floors
+        if (shapeType === "maze3d" && point.userData && point.userData.type === "stair") {
+          designToUse = this.uploadedStairDesign || primaryDesign;
+        }
+
+        // For mazes, use path design for solution path markers
+        if ((shapeType === "maze" || shapeType === "maze3d") && point.userData && point.userData.type === "path") {
+          designToUse = this.uploadedPathDesign;
+        }
+
         // For rooms, use appropriate design based on point type
         if (shapeType === "room" && point.userData && point.userData.type === "floor") {
-          designToUse = this.uploadedRoomFloorDesign || primaryDesign;
+          designToUse = point.userData.floorShape === "triangle"
+            ? this.uploadedRoomTriangleFloorDesign
+            : this.getRoomFloorDesign(point) || primaryDesign;
+        }
+        if (shapeType === "room" && point.userData && point.userData.diagonal) {
+          designToUse = this.uploadedDiagonalWallDesign || primaryDesign;
+        }
+        if (shapeType === "room" && point.userData && point.userData.type === "window") {
+          designToUse = this.uploadedWindowDesign || primaryDesign;
+        }
+        if (shapeType === "room" && point.userData && point.userData.type === "pillar") {
+          designToUse = this.uploadedPillarDesign || primaryDesign;
+        }
+        if (shapeType === "room" && point.userData && point.userData.type === "decoration") {
+          designToUse = this.uploadedDecorationDesign || primaryDesign;
+        }
+
+        // For jump chains, rest platforms use their own design
+        if (shapeType === "particleField" && point.userData && point.userData.particleRole === "rest") {
+          designToUse = this.uploadedParticleRestDesign || primaryDesign;
+        }
+        // ...as does each kind of branch
+        if (shapeType === "particleField" && point.userData && point.userData.branchIndex !== undefined) {
+          designToUse = this[PARTICLE_BRANCH_DESIGN_FIELDS[point.userData.particleRole]] || primaryDesign;
         }
 
         const newAttachment = {
           ...designToUse,
           transform: {
             location: [point.position.x * 100, point.position.z * 100, point.position.y * 100], // Swap Y/Z for Unreal
-            rotation: this.calculateRotation(shapeType, point, designToUse, options),
-            scale: designToUse.transform.scale,
+            rotation: this.calculateRotation(shapeType, point, designToUse, processingOptions),
+            scale: this.getWallScale(point, designToUse),
           },
         };
         
@@ -274,7 +442,7 @@ export class FileHandlers {
         this.processedDesign.attachments.push(newAttachment);
 
         // Process nested attachments
-        this.processAttachments(designToUse, newAttachment, point, shapeType, options);
+        this.processAttachments(designToUse, newAttachment, point, shapeType, processingOptions);
       });
 
       console.log("Design processed successfully");
@@ -314,9 +482,13 @@ export class FileHandlers {
   getPointsForShape(shapeType, wheel, maze, maze3d) {
     switch (shapeType) {
       case "maze":
-        return maze.allPoints;
+        return this.getMazeExportPoints(maze);
       case "maze3d":
-        return maze3d.allPoints;
+        return this.getMazeExportPoints(maze3d);
+      case "circularMaze":
+        return wheel.circularMazeShape.allPoints;
+      case "hexMaze":
+        return wheel.hexMazeShape.allPoints;
       case "room":
         return wheel.roomShape ? wheel.roomShape.allPoints : [];
       default:
@@ -324,24 +496,91 @@ export class FileHandlers {
     }
   }
 
+  /**
+   * Get maze elements, plus the solution path markers when a path design is uploaded
+   */
+  getMazeExportPoints(maze) {
+    if (!this.uploadedPathDesign) {
+      return maze.allPoints;
+    }
+
+    return [...maze.allPoints, ...maze.getSolutionPoints()];
+  }
+
+  /**
+   * Split a merged maze wall back into one point per cell along its length
+   */
+  splitMergedWall(point) {
+    const { segments, segmentLength } = point.userData || {};
+    if (!segments || segments <= 1) {
+      return [point];
+    }
+
+    const directionX = Math.sin(point.rotation.y);
+    const directionZ = Math.cos(point.rotation.y);
+    return Array.from({ length: segments }, (_, index) => {
+      const offset = (index - (segments - 1) / 2) * segmentLength;
+      return {
+        position: {
+          x: point.position.x + directionX * offset,
+          y: point.position.y,
+          z: point.position.z + directionZ * offset,
+        },
+        rotation: { y: point.rotation.y },
+        userData: { type: "wall" },
+      };
+    });
+  }
+
+  /**
+   * Stretch the design scale along a wall longer than its design: a merged maze wall, or a
+   * Room diagonal wall without its own design. Wall templates run along their X axis
+   */
+  getWallScale(point, design) {
+    const { scale } = design.transform;
+    const stretch = point.userData?.diagonal
+      ? (design === this.uploadedDiagonalWallDesign ? 1 : Math.SQRT2)
+      : point.userData?.segments || 1;
+    if (stretch <= 1 || !Array.isArray(scale)) {
+      return scale;
+    }
+
+    return [scale[0] * stretch, scale[1], scale[2]];
+  }
+
   /**
    * Calculate rotation for different shape types
    */
   calculateRotation(shapeType, point, designToUse, options = {}) {
-    if (shapeType === "maze" || shapeType === "maze3d") {
+    if ((shapeType === "maze" || shapeType === "maze3d") && point.userData && point.userData.type === "path") {
+      // Path markers keep the uploaded design's orientation
+      return designToUse.transform.rotation;
+    } else if (shapeType === "maze3d" && point.userData && point.userData.type === "stair") {
+      // Stair templates climb toward MakePlace +Y; the Y/Z swap mirrors yaw, so turn by -stairYaw
+      return this.composeYawRotation(designToUse.transform.rotation, -point.userData.stairYaw);
+    } else if (shapeType === "maze" || shapeType === "maze3d" || shapeType === "circularMaze" || shapeType === "hexMaze") {
       // Add PI/2 to align with MakePlace for maze walls
-      const angle = point.rotation.y + Math.PI / 2;
+      const angle = this.getMazeWallTurn(shapeType, point) + Math.PI / 2;
       return [0, 0, Math.sin(angle / 2), Math.cos(angle / 2)];
     } else if (shapeType === "room") {
       // Handle room walls and floors differently
       const rotationY = point.userData && point.userData.rotationY ? point.userData.rotationY : 0;
       
-      if (point.userData && point.userData.type === "floor") {
-        // Floors: use rotation as-is without the PI/2 wall offset
+      if (point.userData && point.userData.type === "decoration") {
+        // Decoration templates face MakePlace +Y; the Y/Z swap mirrors yaw, so turn by -facingYaw
+        return this.composeYawRotation(designToUse.transform.rotation, -point.userData.facingYaw);
+      } else if (point.userData && point.userData.type === "floor" && point.userData.floorShape === "triangle") {
+        // Triangular floors are not symmetric, so mirror the yaw for the Y/Z swap
+        return [0, 0, Math.sin(-rotationY / 2), Math.cos(-rotationY / 2)];
+      } else if (point.userData && (point.userData.type === "floor" || point.userData.type === "pillar")) {
+        // Floors and pillars: use rotation as-is without the PI/2 wall offset
         return [0, 0, Math.sin(rotationY / 2), Math.cos(rotationY / 2)];
       } else {
-        // Walls: add PI/2 to align with MakePlace
-        const angle = rotationY + Math.PI / 2;
+        // Walls: PI/2 offset to align with MakePlace, with the yaw mirrored for the Y/Z swap so
+        // 45° walls lean the right way; walls look the same turned half a turn, so the angle
+        // is kept in (0, PI] to export axis-aligned walls as before
+        let angle = Math.PI / 2 - rotationY;
+        angle -= Math.PI * Math.ceil(angle / Math.PI - 1);
         return [0, 0, Math.sin(angle / 2), Math.cos(angle / 2)];
       }
     } else if (shapeType === "particleField") {
@@ -356,6 +595,22 @@ export class FileHandlers {
     }
   }
 
+  /**
+   * Get how far a maze wall is turned from the uploaded design, in MakePlace yaw.
+   * Grid maze walls are axis-aligned, so they export their scene yaw unchanged. Circular
+   * and hex maze walls run at other angles, so their yaw is mirrored for the Y/Z swap and,
+   * as walls look the same turned half a turn, kept in (-PI/2, PI/2]
+   */
+  getMazeWallTurn(shapeType, point) {
+    if (shapeType !== "circularMaze" && shapeType !== "hexMaze") {
+      return point.rotation.y;
+    }
+
+    let turn = -point.rotation.y;
+    turn -= Math.PI * Math.ceil(turn / Math.PI - 0.5);
+    return turn;
+  }
+
   /**
    * Process nested attachments recursively
    */
@@ -369,6 +624,8 @@ export class FileHandlers {
     const particleYaw = shapeType === "particleField"
       ? this.getParticleFieldYaw(referencePoint, options)
       : null;
+    const isStair = shapeType === "maze3d" && referencePoint.userData?.type === "stair";
+    const isDecoration = shapeType === "room" && referencePoint.userData?.type === "decoration";
 
     originalDesign.attachments.forEach((attachment) => {
       try {
@@ -379,16 +636,28 @@ export class FileHandlers {
           attachment.transform.location[2] - originalDesign.transform.location[2]
         ];
 
-        if (shapeType === "maze" || shapeType === "maze3d") {
+        if (isStair || isDecoration) {
+          const templateYaw = isStair ? -referencePoint.userData.stairYaw : -referencePoint.userData.facingYaw;
+          const rotatedPosition = this.rotateMakePlaceFlatPosition(relativePosition, templateYaw);
+          newAttachment.transform = {
+            ...attachment.transform,
+            location: [
+              referencePoint.position.x * 100 + rotatedPosition[0],
+              referencePoint.position.z * 100 + rotatedPosition[1],
+              referencePoint.position.y * 100 + rotatedPosition[2]
+            ],
+            rotation: this.composeYawRotation(attachment.transform.rotation, templateYaw),
+          };
+        } else if (shapeType === "maze" || shapeType === "maze3d" || shapeType === "circularMaze" || shapeType === "hexMaze") {
           // Rotate the relative position by the wall's rotation
-          const cos = Math.cos(referencePoint.rotation.y);
-          const sin = Math.sin(referencePoint.rotation.y);
+          const angle = this.getMazeWallTurn(shapeType, referencePoint);
+          const cos = Math.cos(angle);
+          const sin = Math.sin(angle);
           const rotatedX = relativePosition[0] * cos - relativePosition[1] * sin;
           const rotatedY = relativePosition[0] * sin + relativePosition[1] * cos;
 
           // Create rotation quaternion for the attachment
           const [x, y, z, w] = attachment.transform.rotation;
-          const angle = referencePoint.rotation.y;
           const s = Math.sin(angle / 2);
           const c = Math.cos(angle / 2);
           const rotatedRotation = [
@@ -452,7 +721,8 @@ export class FileHandlers {
     }
 
     if (!Number.isFinite(point.userData.particleYaw)) {
-      point.userData.particleYaw = Math.random() * Math.PI * 2;
+      const random = options.random || Math.random;
+      point.userData.particleYaw = random() * Math.PI * 2;
     }
 
     return point.userData.particleYaw;
@@ -530,15 +800,36 @@ export class FileHandlers {
     }
   }
 
+  /**
+   * Get the design for a room floor: the extra piece it was tiled with, or the room floor upload
+   */
+  getRoomFloorDesign(point) {
+    const pieceId = point.userData.floorPieceId;
+    const piece = pieceId ? this.roomFloorPieces.find((candidate) => candidate.id === pieceId) : null;
+    return piece ? piece.design : this.uploadedRoomFloorDesign;
+  }
+
   /**
    * Reset all uploaded files and processed designs
    */
   reset() {
     this.uploadedDesign = null;
     this.uploadedFloorDesign = null;
+    this.uploadedStairDesign = null;
+    this.uploadedPathDesign = null;
     this.uploadedRoomFloorDesign = null;
+    this.uploadedRoomTriangleFloorDesign = null;
+    this.uploadedWindowDesign = null;
+    this.uploadedDiagonalWallDesign = null;
+    this.uploadedPillarDesign = null;
+    this.uploadedDecorationDesign = null;
+    this.roomFloorPieces = [];
     this.uploadedParticleJumpTemplate = null;
     this.particleJumpTemplateMetrics = null;
+    this.uploadedParticleRestDesign = null;
+    this.uploadedParticleSideRouteDesign = null;
+    this.uploadedParticleDeadEndDesign = null;
+    this.uploadedParticleShortcutDesign = null;
     this.processedDesign = null;
     document.getElementById("processDesignBtn").style.display = "none";
     document.getElementById("downloadBtn").style.display = "none";
@@ -1,5 +1,8 @@
 import { validateRange, validatePoint, validatePointsDifferent } from '../utils/validators.js';
 import { DEFAULTS } from '../utils/constants.js';
+import { getImageImportSize } from '../utils/pixelArtImage.js';
+import { cellKeysToMazeMask, getLargestMaskRegion, imageDataToMazeMask } from '../utils/mazeMask.js';
+import { decodeRoomPlan, encodeRoomPlan, roomPlanToSvg, validateRoomPlan } from '../utils/roomPlan.js';
 
 /**
  * Handles form controls and generation for all shape types
@@ -11,6 +14,7 @@ export class ShapeControllers {
     this.maze3d = maze3d;
     this.room = room;
     this.fileHandlers = fileHandlers;
+    this.mazeMaskImage = null;
   }
 
   /**
@@ -94,35 +98,20 @@ export class ShapeControllers {
    */
   generateConicalSpiral() {
     try {
-      const centerPoint = new THREE.Vector3(
-        parseFloat(document.getElementById("conicalSpiralCenterX").value),
-        parseFloat(document.getElementById("conicalSpiralCenterY").value),
-        parseFloat(document.getElementById("conicalSpiralCenterZ").value)
-      );
-      const startPoint = new THREE.Vector3(
-        parseFloat(document.getElementById("conicalSpiralStartX").value),
-        parseFloat(document.getElementById("conicalSpiralStartY").value),
-        parseFloat(document.getElementById("conicalSpiralStartZ").value)
-      );
-      const direction = document.getElementById("conicalSpiralDirection").value;
-      const segments = parseInt(document.getElementById("conicalSpiralSegments").value);
-      const turns = parseFloat(document.getElementById("conicalSpiralTurns").value);
-      const isUpright = document.getElementById("conicalSpiralOrientation").value === "upright";
-      const height = parseFloat(document.getElementById("conicalSpiralHeight").value);
-      const startFromCenter = document.getElementById("conicalSpiralStartPoint").value === "center";
-      const planeAngle = parseFloat(document.getElementById("conicalSpiralPlaneAngle").value);
-      const planeAxis = document.getElementById("conicalSpiralPlaneAxis").value;
+      const {
+        centerPoint,
+        startPoint,
+        direction,
+        segments,
+        turns,
+        isUpright,
+        height,
+        startFromCenter,
+        planeAngle,
+        planeAxis
+      } = this.readConicalSpiralInputs();
       const randomDisplacement = this.getRandomDisplacementOptions();
 
-      // Validate inputs
-      validatePoint(centerPoint, "Center Point");
-      validatePoint(startPoint, "Start Point");
-      validatePointsDifferent(centerPoint, startPoint);
-      validateRange(segments, 10, 100, "Segments");
-      validateRange(turns, 0.1, 20, "Turns");
-      validateRange(height, 1, 200, "Height");
-      validateRange(planeAngle, -360, 360, "Plane Angle");
-
       this.wheel.generateConicalSpiral(centerPoint, startPoint, direction, segments, turns, isUpright, height, startFromCenter, planeAngle, planeAxis, randomDisplacement);
       this.updateCount('ConicalSpiral', this.wheel.allPoints.length);
       return true;
@@ -132,6 +121,42 @@ export class ShapeControllers {
     }
   }
 
+  /**
+   * Reads and validates the conical spiral inputs
+   * @returns {Object} Conical spiral parameters, without random displacement
+   */
+  readConicalSpiralInputs() {
+    const centerPoint = new THREE.Vector3(
+      parseFloat(document.getElementById("conicalSpiralCenterX").value),
+      parseFloat(document.getElementById("conicalSpiralCenterY").value),
+      parseFloat(document.getElementById("conicalSpiralCenterZ").value)
+    );
+    const startPoint = new THREE.Vector3(
+      parseFloat(document.getElementById("conicalSpiralStartX").value),
+      parseFloat(document.getElementById("conicalSpiralStartY").value),
+      parseFloat(document.getElementById("conicalSpiralStartZ").value)
+    );
+    const direction = document.getElementById("conicalSpiralDirection").value;
+    const segments = parseInt(document.getElementById("conicalSpiralSegments").value);
+    const turns = parseFloat(document.getElementById("conicalSpiralTurns").value);
+    const isUpright = document.getElementById("conicalSpiralOrientation").value === "upright";
+    const height = parseFloat(document.getElementById("conicalSpiralHeight").value);
+    const startFromCenter = document.getElementById("conicalSpiralStartPoint").value === "center";
+    const planeAngle = parseFloat(document.getElementById("conicalSpiralPlaneAngle").value);
+    const planeAxis = document.getElementById("conicalSpiralPlaneAxis").value;
+
+    // Validate inputs
+    validatePoint(centerPoint, "Center Point");
+    validatePoint(startPoint, "Start Point");
+    validatePointsDifferent(centerPoint, startPoint);
+    validateRange(segments, 10, 100, "Segments");
+    validateRange(turns, 0.1, 20, "Turns");
+    validateRange(height, 1, 200, "Height");
+    validateRange(planeAngle, -360, 360, "Plane Angle");
+
+    return { centerPoint, startPoint, direction, segments, turns, isUpright, height, startFromCenter, planeAngle, planeAxis };
+  }
+
   /**
    * Generate spherical spiral shape from form inputs
    */
@@ -199,7 +224,7 @@ export class ShapeControllers {
       validateRange(stepAmount, 0, 20, "Step Amount");
       validateRange(floors, 1, 20, "Floors");
 
-      this.wheel.generateGrid(centerPoint, rows, columns, spacing, stepAmount, floors, randomDisplacement);
+      this.wheel.generateGrid(centerPoint, rows, columns, spacing, stepAmount, floors, randomDisplacement, this.getGenerationSeed());
       this.updateCount('Grid', this.wheel.allPoints.length);
       return true;
     } catch (error) {
@@ -222,24 +247,51 @@ export class ShapeControllers {
       const depth = parseFloat(document.getElementById("particleFieldDepth").value);
       const height = parseFloat(document.getElementById("particleFieldHeight").value);
       const count = Number(document.getElementById("particleFieldCount").value);
+      const volume = document.getElementById("particleFieldVolume")?.value || DEFAULTS.PARTICLE_FIELD.VOLUME;
       const connected = Boolean(document.getElementById("particleFieldConnected")?.checked);
       const randomItemRotation = Boolean(document.getElementById("particleFieldRandomRotation")?.checked);
       const objectClearanceEnabled = Boolean(document.getElementById("particleFieldObjectClearance")?.checked);
       const objectClearanceRadius = parseFloat(document.getElementById("particleFieldObjectRadius")?.value || "0");
       const objectClearanceHeight = parseFloat(document.getElementById("particleFieldObjectHeight")?.value || "0");
       const jumpTemplateMetrics = this.fileHandlers ? this.fileHandlers.particleJumpTemplateMetrics : null;
+      const useGoal = connected && Boolean(document.getElementById("particleFieldGoal")?.checked);
+      const startPoint = useGoal ? this.readPointInputs("particleFieldStart") : null;
+      const goalPoint = useGoal ? this.readPointInputs("particleFieldGoal") : null;
+      const difficulty = document.getElementById("particleFieldDifficulty")?.value || "";
+      const rampDifficulty = Boolean(document.getElementById("particleFieldRampDifficulty")?.checked);
+      const guideShape = connected ? document.getElementById("particleFieldGuide")?.value || "" : "";
+      const guideTolerance = parseFloat(document.getElementById("particleFieldGuideTolerance")?.value || DEFAULTS.PARTICLE_FIELD.GUIDE_TOLERANCE);
+      const sideRoutes = connected ? Number(document.getElementById("particleFieldSideRoutes")?.value || 0) : 0;
+      const deadEnds = connected ? Number(document.getElementById("particleFieldDeadEnds")?.value || 0) : 0;
+      const shortcuts = connected ? Number(document.getElementById("particleFieldShortcuts")?.value || 0) : 0;
 
       validatePoint(centerPoint, "Center Point");
+      if (useGoal) {
+        validatePoint(startPoint, "Start Point");
+        validatePoint(goalPoint, "Goal Point");
+      }
       validateRange(width, 0, 500, "Box X size");
       validateRange(depth, 0, 500, "Box depth");
       validateRange(height, 0, 500, "Box height");
       if (width === 0 && depth === 0 && height === 0) {
         throw new Error("At least one box dimension must be greater than 0.");
       }
+      if (volume !== "box" && (width === 0 || depth === 0 || (volume !== "cylinder" && height === 0))) {
+        throw new Error(`A ${volume} needs Box X size, depth${volume === "cylinder" ? "" : " and height"} greater than 0.`);
+      }
       validateRange(count, 1, 2000, "Items");
       if (!Number.isInteger(count)) {
         throw new Error("Items must be a whole number.");
       }
+      if (guideShape) {
+        validateRange(guideTolerance, 0.1, 500, "Guide tolerance");
+      }
+      [[sideRoutes, "Side routes"], [deadEnds, "Dead ends"], [shortcuts, "Shortcuts"]].forEach(([amount, label]) => {
+        validateRange(amount, 0, DEFAULTS.PARTICLE_FIELD.MAX_BRANCHES, label);
+        if (!Number.isInteger(amount)) {
+          throw new Error(`${label} must be a whole number.`);
+        }
+      });
       if (connected && objectClearanceEnabled) {
         validateRange(objectClearanceRadius, 0.0001, 500, "Object radius");
         validateRange(objectClearanceHeight, 0.0001, 500, "Object height");
@@ -249,6 +301,13 @@ export class ShapeControllers {
         throw new Error("Upload a Particle Field jump template before generating a connected chain.");
       }
 
+      let guidePoints = null;
+      if (guideShape === "cylinderSpiral") {
+        guidePoints = this.wheel.cylinderSpiralShape.getSpiralPoints(this.readCylinderSpiralInputs());
+      } else if (guideShape === "conicalSpiral") {
+        guidePoints = this.wheel.conicalSpiralShape.getSpiralPoints(this.readConicalSpiralInputs());
+      }
+
       this.wheel.generateParticleField(centerPoint, width, depth, height, count, {
         connected,
         jumpTemplateMetrics,
@@ -256,6 +315,17 @@ export class ShapeControllers {
         objectClearanceEnabled,
         objectClearanceRadius,
         objectClearanceHeight,
+        startPoint,
+        goalPoint,
+        difficulty,
+        rampDifficulty,
+        guidePoints,
+        guideTolerance,
+        sideRoutes,
+        deadEnds,
+        shortcuts,
+        volume,
+        seed: this.getGenerationSeed(),
       });
 
       const warning = this.wheel.particleFieldShape?.generationWarning || '';
@@ -268,33 +338,27 @@ export class ShapeControllers {
     }
   }
 
+  /**
+   * Reads a point from the X, Y and Z inputs that share an id prefix
+   * @param {string} prefix - Input id prefix, e.g. "particleFieldGoal" for particleFieldGoalX
+   * @returns {THREE.Vector3} Point
+   */
+  readPointInputs(prefix) {
+    return new THREE.Vector3(
+      parseFloat(document.getElementById(`${prefix}X`).value),
+      parseFloat(document.getElementById(`${prefix}Y`).value),
+      parseFloat(document.getElementById(`${prefix}Z`).value)
+    );
+  }
+
   /**
    * Generate cylinder spiral shape from form inputs
    */
   generateCylinderSpiral() {
     try {
-      const center = new THREE.Vector3(
-        parseFloat(document.getElementById("cylinderSpiralCenterX").value),
-        parseFloat(document.getElementById("cylinderSpiralCenterY").value),
-        parseFloat(document.getElementById("cylinderSpiralCenterZ").value)
-      );
-      const radius = parseFloat(document.getElementById("cylinderSpiralRadius").value);
-      const height = parseFloat(document.getElementById("cylinderSpiralHeight").value);
-      const segments = parseInt(document.getElementById("cylinderSpiralSegments").value);
-      const turns = parseFloat(document.getElementById("cylinderSpiralTurns").value);
-      const direction = document.getElementById("cylinderSpiralDirection").value;
-      const planeAngle = parseFloat(document.getElementById("cylinderSpiralPlaneAngle").value);
-      const planeAxis = document.getElementById("cylinderSpiralPlaneAxis").value;
+      const { center, radius, height, segments, turns, direction, planeAngle, planeAxis } = this.readCylinderSpiralInputs();
       const randomDisplacement = this.getRandomDisplacementOptions();
 
-      // Validate inputs
-      validatePoint(center, "Center Point");
-      validateRange(radius, 1, 200, "Radius");
-      validateRange(height, 1, 200, "Height");
-      validateRange(segments, 10, 200, "Segments");
-      validateRange(turns, 0.1, 20, "Turns");
-      validateRange(planeAngle, -360, 360, "Plane Angle");
-
       this.wheel.generateCylinderSpiral(center, radius, height, segments, turns, direction, planeAngle, planeAxis, randomDisplacement);
       this.updateCount('CylinderSpiral', this.wheel.allPoints.length);
       return true;
@@ -304,6 +368,35 @@ export class ShapeControllers {
     }
   }
 
+  /**
+   * Reads and validates the cylinder spiral inputs
+   * @returns {Object} Cylinder spiral parameters, without random displacement
+   */
+  readCylinderSpiralInputs() {
+    const center = new THREE.Vector3(
+      parseFloat(document.getElementById("cylinderSpiralCenterX").value),
+      parseFloat(document.getElementById("cylinderSpiralCenterY").value),
+      parseFloat(document.getElementById("cylinderSpiralCenterZ").value)
+    );
+    const radius = parseFloat(document.getElementById("cylinderSpiralRadius").value);
+    const height = parseFloat(document.getElementById("cylinderSpiralHeight").value);
+    const segments = parseInt(document.getElementById("cylinderSpiralSegments").value);
+    const turns = parseFloat(document.getElementById("cylinderSpiralTurns").value);
+    const direction = document.getElementById("cylinderSpiralDirection").value;
+    const planeAngle = parseFloat(document.getElementById("cylinderSpiralPlaneAngle").value);
+    const planeAxis = document.getElementById("cylinderSpiralPlaneAxis").value;
+
+    // Validate inputs
+    validatePoint(center, "Center Point");
+    validateRange(radius, 1, 200, "Radius");
+    validateRange(height, 1, 200, "Height");
+    validateRange(segments, 10, 200, "Segments");
+    validateRange(turns, 0.1, 20, "Turns");
+    validateRange(planeAngle, -360, 360, "Plane Angle");
+
+    return { center, radius, height, segments, turns, direction, planeAngle, planeAxis };
+  }
+
   /**
    * Generate maze from form inputs
    */
@@ -314,6 +407,10 @@ export class ShapeControllers {
       const wallHeight = parseInt(document.getElementById("mazeHeight").value);
       const gridWidth = parseInt(document.getElementById("mazeDimensionX").value);
       const gridHeight = parseInt(document.getElementById("mazeDimensionY").value);
+      const algorithm = document.getElementById("mazeAlgorithm")?.value || DEFAULTS.MAZE.ALGORITHM;
+      const braid = parseInt(document.getElementById("mazeBraid")?.value || DEFAULTS.MAZE.BRAID);
+      const loops = parseInt(document.getElementById("mazeLoops")?.value || DEFAULTS.MAZE.LOOPS);
+      const mergeWalls = document.getElementById("mazeMergeWalls")?.checked ?? DEFAULTS.MAZE.MERGE_WALLS;
 
       // Validate inputs
       validateRange(cellLength, 1, 20, "Cell Length");
@@ -321,15 +418,26 @@ export class ShapeControllers {
       validateRange(wallHeight, 1, 20, "Wall Height");
       validateRange(gridWidth, 3, 50, "Grid Width");
       validateRange(gridHeight, 3, 50, "Grid Height");
+      validateRange(braid, 0, 100, "Braid Factor");
+      validateRange(loops, 0, 500, "Extra Loops");
 
-      this.maze.generateMaze(cellLength, wallWidth, wallHeight, gridWidth, gridHeight);
+      this.maze.generateMaze(cellLength, wallWidth, wallHeight, gridWidth, gridHeight, {
+        mask: this.getMazeMask(gridWidth),
+        algorithm,
+        seed: this.getGenerationSeed(),
+        braid,
+        loops,
+        mergeWalls,
+        openings: this.getMazeOpenings("maze", false)
+      });
       const wallCount = this.maze.walls ? this.maze.walls.length : 0;
       const element = document.getElementById("generatedWallCount");
       if (element) {
-        element.textContent = `Generated Walls: ${wallCount}`;
+        element.textContent = `Generated Walls: ${wallCount}${this.getSolutionLengthText(this.maze)}`;
         element.style.fontWeight = 'bold';
         element.style.color = '#2196F3';
       }
+      this.showMazeStats(this.maze, "mazeStats");
       return true;
     } catch (error) {
       alert(`Maze Generation Error: ${error.message}`);
@@ -337,6 +445,72 @@ export class ShapeControllers {
     }
   }
 
+  /**
+   * Build the maze mask for the selected maze shape source
+   * @param {number} gridWidth - Cells across the longest side of an image mask
+   * @returns {boolean[][]|null} Mask, or null for a full rectangle
+   */
+  getMazeMask(gridWidth) {
+    const source = document.getElementById("mazeShapeSource")?.value || "rectangle";
+
+    if (source === "room") {
+      if (!this.room) {
+        throw new Error("Room drawing is not available");
+      }
+      return getLargestMaskRegion(cellKeysToMazeMask(this.room.getDrawnCellKeys()));
+    }
+
+    if (source === "image") {
+      if (!this.mazeMaskImage) {
+        throw new Error("Upload a black-and-white shape image first");
+      }
+
+      const image = this.mazeMaskImage;
+      const size = getImageImportSize(image.naturalWidth || image.width, image.naturalHeight || image.height, gridWidth);
+      const canvas = document.createElement("canvas");
+      canvas.width = size.width;
+      canvas.height = size.height;
+
+      const context = canvas.getContext("2d", { willReadFrequently: true });
+      if (!context) {
+        throw new Error("Canvas image processing is not available");
+      }
+      context.drawImage(image, 0, 0, size.width, size.height);
+      return getLargestMaskRegion(imageDataToMazeMask(context.getImageData(0, 0, size.width, size.height)));
+    }
+
+    return null;
+  }
+
+  /**
+   * Load a black-and-white image used as the maze shape; dark pixels are inside
+   */
+  loadMazeMaskImage(file) {
+    const status = document.getElementById("mazeMaskStatus");
+    if (!file || !file.type.startsWith("image/")) {
+      this.mazeMaskImage = null;
+      if (status) status.textContent = "The selected file is not an image.";
+      return;
+    }
+
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      this.mazeMaskImage = image;
+      if (status) status.textContent = `Shape image loaded: ${file.name}`;
+    };
+
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      this.mazeMaskImage = null;
+      if (status) status.textContent = "Could not read the image file";
+    };
+
+    image.src = url;
+  }
+
   /**
    * Generate 3D maze from form inputs
    */
@@ -347,6 +521,11 @@ export class ShapeControllers {
       const gridWidth = parseInt(document.getElementById("maze3dDimensionX").value);
       const gridHeight = parseInt(document.getElementById("maze3dDimensionY").value);
       const floors = parseInt(document.getElementById("maze3dFloors").value);
+      const algorithm = document.getElementById("maze3dAlgorithm")?.value || DEFAULTS.MAZE_3D.ALGORITHM;
+      const braid = parseInt(document.getElementById("maze3dBraid")?.value || DEFAULTS.MAZE_3D.BRAID);
+      const loops = parseInt(document.getElementById("maze3dLoops")?.value || DEFAULTS.MAZE_3D.LOOPS);
+      const mergeWalls = document.getElementById("maze3dMergeWalls")?.checked ?? DEFAULTS.MAZE_3D.MERGE_WALLS;
+      const stairs = document.getElementById("maze3dStairs")?.checked ?? DEFAULTS.MAZE_3D.STAIRS;
 
       // Validate inputs
       validateRange(floorLength, 1, 20, "Floor Length");
@@ -354,16 +533,29 @@ export class ShapeControllers {
       validateRange(gridWidth, 2, 20, "Grid Width");
       validateRange(gridHeight, 2, 20, "Grid Height");
       validateRange(floors, 1, 10, "Floors");
+      validateRange(braid, 0, 100, "Braid Factor");
+      validateRange(loops, 0, 500, "Extra Loops");
 
-      this.maze3d.generateMaze(floorLength, floorWidth, gridWidth, gridHeight, floors);
+      this.maze3d.generateMaze(floorLength, floorWidth, gridWidth, gridHeight, floors, {
+        algorithm,
+        seed: this.getGenerationSeed(),
+        braid,
+        loops,
+        mergeWalls,
+        stairs,
+        openings: this.getMazeOpenings("maze3d", true)
+      });
       const wallCount = this.maze3d.walls ? this.maze3d.walls.length : 0;
       const floorCount = this.maze3d.floors ? this.maze3d.floors.length : 0;
+      const stairCount = this.maze3d.stairs ? this.maze3d.stairs.length : 0;
+      const stairText = stairCount > 0 ? `, Stairs: ${stairCount}` : "";
       const element = document.getElementById("generated3DWallCount");
       if (element) {
-        element.textContent = `Generated Walls: ${wallCount}, Floors: ${floorCount} (Total Points: ${this.maze3d.allPoints.length})`;
+        element.textContent = `Generated Walls: ${wallCount}, Floors: ${floorCount}${stairText} (Total Points: ${this.maze3d.allPoints.length})${this.getSolutionLengthText(this.maze3d)}`;
         element.style.fontWeight = 'bold';
         element.style.color = '#2196F3';
       }
+      this.showMazeStats(this.maze3d, "maze3dStats");
       return true;
     } catch (error) {
       alert(`3D Maze Generation Error: ${error.message}`);
@@ -371,6 +563,131 @@ export class ShapeControllers {
     }
   }
 
+  /**
+   * Generate circular maze from form inputs
+   */
+  generateCircularMaze() {
+    try {
+      const cellLength = parseFloat(document.getElementById("circularMazeLength").value);
+      const wallWidth = parseInt(document.getElementById("circularMazeWidth").value);
+      const wallHeight = parseInt(document.getElementById("circularMazeHeight").value);
+      const rings = parseInt(document.getElementById("circularMazeRings").value);
+      const algorithm = document.getElementById("circularMazeAlgorithm")?.value || DEFAULTS.CIRCULAR_MAZE.ALGORITHM;
+
+      // Validate inputs
+      validateRange(cellLength, 1, 20, "Cell Length");
+      validateRange(wallWidth, 1, 10, "Wall Width");
+      validateRange(wallHeight, 1, 20, "Wall Height");
+      validateRange(rings, 2, DEFAULTS.CIRCULAR_MAZE.MAX_RINGS, "Rings");
+
+      const circularMaze = this.wheel.circularMazeShape;
+      circularMaze.generate({
+        itemLength: cellLength,
+        itemWidth: wallWidth,
+        itemHeight: wallHeight,
+        rings,
+        algorithm,
+        seed: this.getGenerationSeed()
+      });
+      const element = document.getElementById("generatedCircularWallCount");
+      if (element) {
+        element.textContent = `Generated Walls: ${circularMaze.walls.length}, Cells: ${circularMaze.grid.flat().length}`;
+        element.style.fontWeight = 'bold';
+        element.style.color = '#2196F3';
+      }
+      return true;
+    } catch (error) {
+      alert(`Circular Maze Generation Error: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Generate hex maze from form inputs
+   */
+  generateHexMaze() {
+    try {
+      const wallLength = parseFloat(document.getElementById("hexMazeLength").value);
+      const wallWidth = parseInt(document.getElementById("hexMazeWidth").value);
+      const wallHeight = parseInt(document.getElementById("hexMazeHeight").value);
+      const gridWidth = parseInt(document.getElementById("hexMazeDimensionX").value);
+      const gridHeight = parseInt(document.getElementById("hexMazeDimensionY").value) || gridWidth;
+      const algorithm = document.getElementById("hexMazeAlgorithm")?.value || DEFAULTS.HEX_MAZE.ALGORITHM;
+
+      // Validate inputs
+      validateRange(wallLength, 1, 20, "Wall Length");
+      validateRange(wallWidth, 1, 10, "Wall Width");
+      validateRange(wallHeight, 1, 20, "Wall Height");
+      validateRange(gridWidth, 2, 30, "Grid Width");
+      validateRange(gridHeight, 2, 30, "Grid Height");
+
+      const hexMaze = this.wheel.hexMazeShape;
+      hexMaze.generate({
+        itemLength: wallLength,
+        itemWidth: wallWidth,
+        itemHeight: wallHeight,
+        width: gridWidth,
+        height: gridHeight,
+        algorithm,
+        seed: this.getGenerationSeed()
+      });
+      const element = document.getElementById("generatedHexWallCount");
+      if (element) {
+        element.textContent = `Generated Walls: ${hexMaze.walls.length}`;
+        element.style.fontWeight = 'bold';
+        element.style.color = '#2196F3';
+      }
+      return true;
+    } catch (error) {
+      alert(`Hex Maze Generation Error: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Read entrance/exit options for a maze from form inputs
+   * @param {string} prefix - Input id prefix ("maze" or "maze3d")
+   * @param {boolean} hasFloors - Whether the maze has floor inputs
+   */
+  getMazeOpenings(prefix, hasFloors) {
+    const mode = document.getElementById(`${prefix}Openings`)?.value || DEFAULTS.MAZE.OPENINGS;
+    if (mode !== "manual") {
+      return { mode };
+    }
+
+    // Form inputs are 1-based, the maze works with 0-based cells and floors. parseFloat keeps
+    // blank and fractional entries invalid so the maze can reject them
+    const readOpening = (kind) => ({
+      side: document.getElementById(`${prefix}${kind}Side`).value,
+      position: parseFloat(document.getElementById(`${prefix}${kind}Position`).value) - 1,
+      floor: hasFloors ? parseFloat(document.getElementById(`${prefix}${kind}Floor`).value) - 1 : 0
+    });
+
+    return { mode, entrance: readOpening("Entrance"), exit: readOpening("Exit") };
+  }
+
+  /**
+   * Describe the solution route length for the generated wall count
+   */
+  getSolutionLengthText(maze) {
+    return maze.solutionPath.length > 0 ? `, Solution: ${maze.solutionPath.length} cells` : "";
+  }
+
+  /**
+   * Show the difficulty report for a generated maze
+   */
+  showMazeStats(maze, elementId) {
+    const element = document.getElementById(elementId);
+    const stats = maze.getMazeStats();
+    if (!element || !stats) return;
+
+    // A closed maze reports the longest route instead, between its two farthest-apart cells
+    const solutionLabel = stats.farthestCells ? "Longest route (no entrance and exit)" : "Solution";
+    const solutionText = `${stats.solutionLength} cells (${Math.round(stats.solutionShare * 100)}% of ${stats.cellCount} cells)`;
+    element.textContent = `${solutionLabel}: ${solutionText}, Dead ends: ${stats.deadEnds}, ` +
+      `Longest dead end: ${stats.longestDeadEnd} cells, Junctions: ${stats.junctions}`;
+  }
+
   /**
    * Generate room from form inputs
    */
@@ -386,6 +703,13 @@ export class ShapeControllers {
       const wallHeight = parseInt(document.getElementById("roomWallHeight").value);
       const floorLength = parseInt(document.getElementById("roomFloorLength").value);
       const floorWidth = parseInt(document.getElementById("roomFloorWidth").value);
+      const storeys = parseInt(document.getElementById("roomStoreys")?.value || DEFAULTS.ROOM.STOREYS);
+      const wallCourses = parseInt(document.getElementById("roomWallCourses")?.value || DEFAULTS.ROOM.WALL_COURSES);
+      const ceiling = document.getElementById("roomCeiling")?.checked ?? DEFAULTS.ROOM.CEILING;
+      const pillars = document.getElementById("roomPillars")?.checked ?? DEFAULTS.ROOM.PILLARS;
+      const decorations = document.getElementById("roomDecorations")?.checked ?? DEFAULTS.ROOM.DECORATIONS;
+      const decorationInterval = parseFloat(document.getElementById("roomDecorationInterval")?.value || DEFAULTS.ROOM.DECORATION_INTERVAL);
+      const decorationHeight = parseFloat(document.getElementById("roomDecorationHeight")?.value || DEFAULTS.ROOM.DECORATION_HEIGHT);
 
       // Validate inputs
       validateRange(wallLength, 1, 20, "Wall Length");
@@ -393,19 +717,35 @@ export class ShapeControllers {
       validateRange(wallHeight, 1, 20, "Wall Height");
       validateRange(floorLength, 1, 20, "Floor Length");
       validateRange(floorWidth, 1, 20, "Floor Width");
+      validateRange(storeys, 1, DEFAULTS.ROOM.MAX_STOREYS, "Storeys");
+      validateRange(wallCourses, 1, DEFAULTS.ROOM.MAX_WALL_COURSES, "Wall Courses");
+      if (decorations) {
+        validateRange(decorationInterval, 1, DEFAULTS.ROOM.MAX_DECORATION_INTERVAL, "Decoration Interval");
+        validateRange(decorationHeight, 0, wallHeight * wallCourses, "Decoration Height");
+      }
 
       const params = {
         wallLength,
         wallWidth,
         wallHeight,
         floorLength,
-        floorWidth
+        floorWidth,
+        storeys,
+        wallCourses,
+        ceiling,
+        pillars,
+        decorations,
+        decorationInterval,
+        decorationHeight
       };
 
       this.room.generate(params);
       const wallCount = this.room.walls ? this.room.walls.length : 0;
+      const windowCount = this.room.windows ? this.room.windows.length : 0;
+      const pillarCount = this.room.pillars ? this.room.pillars.length : 0;
+      const decorationCount = this.room.decorations ? this.room.decorations.length : 0;
       const floorCount = this.room.floors ? this.room.floors.length : 0;
-      this.updateCount('Room', this.room.allPoints.length, `(Walls: ${wallCount}, Floors: ${floorCount})`);
+      this.updateCount('Room', this.room.allPoints.length, `(Walls: ${wallCount}, Windows: ${windowCount}, Pillars: ${pillarCount}, Decorations: ${decorationCount}, Floors: ${floorCount}, Storeys: ${storeys}${this.getFloorTilingNote()})`);
       return true;
     } catch (error) {
       alert(`Room Generation Error: ${error.message}`);
@@ -425,6 +765,15 @@ export class ShapeControllers {
     try {
       const wallLength = parseInt(document.getElementById("roomWallLength").value);
       validateRange(wallLength, 1, 20, "Wall Length");
+
+      const houseSize = document.getElementById("roomHouseSize")?.value || "custom";
+      if (houseSize === "custom") {
+        const gridCells = parseInt(document.getElementById("roomGridCells").value);
+        validateRange(gridCells, 2, DEFAULTS.ROOM.MAX_GRID_DIVISIONS, "Grid Cells Across");
+        this.room.setGridDivisions(gridCells);
+      } else {
+        this.room.setGridDivisions(this.room.getHouseGridDivisions(houseSize, wallLength));
+      }
       
       this.room.enterDrawingMode(wallLength);
       
@@ -438,6 +787,21 @@ export class ShapeControllers {
     }
   }
 
+  /**
+   * Switch the storey drawn in room drawing mode (1-based input)
+   */
+  setRoomDrawingStorey(value) {
+    if (!this.room) return;
+
+    const storey = parseInt(value);
+    if (!Number.isInteger(storey) || storey < 1 || storey > DEFAULTS.ROOM.MAX_STOREYS) {
+      alert(`Drawing Storey must be between 1 and ${DEFAULTS.ROOM.MAX_STOREYS}`);
+      return;
+    }
+
+    this.room.setActiveStorey(storey - 1);
+  }
+
   /**
    * Exit room drawing mode
    */
@@ -449,6 +813,187 @@ export class ShapeControllers {
     this.room.exitDrawingMode();
   }
 
+  /**
+   * Describe the exact floor tiling result for the room count line
+   */
+  getFloorTilingNote() {
+    if (!this.room || this.room.floorPieces.length === 0) return '';
+
+    const { uncoveredCells, exact } = this.room.floorTilingReport;
+    const bare = uncoveredCells > 0 ? `, Bare cells: ${uncoveredCells}` : '';
+    return `${bare}, Tiling: ${exact ? 'fewest pieces' : 'best found'}`;
+  }
+
+  /**
+   * Pass the extra floor piece sizes to the room, list them, and retile a generated room
+   */
+  updateRoomFloorPieces() {
+    if (!this.room) return;
+
+    const pieces = this.fileHandlers.roomFloorPieces;
+    this.room.floorPieces = pieces.map(({ id, length, width }) => ({ id, length, width }));
+
+    const list = document.getElementById("roomFloorPieceList");
+    if (list) {
+      list.innerHTML = '';
+      pieces.forEach((piece) => {
+        const row = document.createElement("div");
+        row.textContent = `${piece.design.name}: ${piece.length} x ${piece.width} `;
+        const removeButton = document.createElement("button");
+        removeButton.type = "button";
+        removeButton.textContent = "Remove";
+        removeButton.addEventListener("click", () => {
+          this.fileHandlers.removeRoomFloorPiece(piece.id);
+          this.updateRoomFloorPieces();
+        });
+        row.appendChild(removeButton);
+        list.appendChild(row);
+      });
+    }
+
+    if (this.room.floors.length > 0 && !this.room.isDrawingMode) {
+      this.generateRoom();
+    }
+  }
+
+  /**
+   * Download the drawn room floor plan as JSON
+   */
+  saveRoomPlan() {
+    if (!this.room) return;
+
+    const plan = this.room.getRoomPlan();
+    this.downloadRoomFile(JSON.stringify(plan, null, 2), "application/json;charset=utf-8", "room-plan.json");
+  }
+
+  /**
+   * Download the drawn room floor plan as an SVG image
+   */
+  exportRoomPlanSvg() {
+    if (!this.room) return;
+
+    if (!this.room.hasDrawnCells()) {
+      alert("Draw some cells in the Room grid first");
+      return;
+    }
+    this.downloadRoomFile(roomPlanToSvg(this.room.getRoomPlan()), "image/svg+xml;charset=utf-8", "room-plan.svg");
+  }
+
+  /**
+   * Load a room floor plan from a JSON file
+   */
+  loadRoomPlanFile(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        this.applyRoomPlan(validateRoomPlan(JSON.parse(e.target.result)));
+      } catch (error) {
+        alert(`Room Plan Error: ${error.message}`);
+      }
+    };
+    reader.readAsText(file);
+
+    // Allow the same file to be loaded again after further edits
+    event.target.value = "";
+  }
+
+  /**
+   * Put the room floor plan share code into the share code box and copy it
+   */
+  copyRoomPlanCode() {
+    if (!this.room) return;
+
+    const code = encodeRoomPlan(this.room.getRoomPlan());
+    const codeInput = document.getElementById("roomPlanCode");
+    if (codeInput) {
+      codeInput.value = code;
+      codeInput.select();
+    }
+    navigator.clipboard?.writeText(code).catch((error) => {
+      console.error('Failed to copy room plan code:', error);
+    });
+  }
+
+  /**
+   * Load a room floor plan from the code in the share code box
+   */
+  loadRoomPlanCode() {
+    try {
+      this.applyRoomPlan(decodeRoomPlan(document.getElementById("roomPlanCode").value));
+    } catch (error) {
+      alert(`Room Plan Error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Apply a loaded floor plan: fill in its settings, replace the drawing and
+   * regenerate the room unless drawing mode is open
+   */
+  applyRoomPlan(plan) {
+    if (!this.room) return;
+
+    const inputIds = {
+      wallLength: "roomWallLength",
+      wallWidth: "roomWallWidth",
+      wallHeight: "roomWallHeight",
+      floorLength: "roomFloorLength",
+      floorWidth: "roomFloorWidth",
+      storeys: "roomStoreys",
+      wallCourses: "roomWallCourses"
+    };
+    Object.entries(inputIds).forEach(([key, elementId]) => {
+      const input = document.getElementById(elementId);
+      if (input && Number.isFinite(plan.settings[key])) {
+        input.value = plan.settings[key];
+      }
+    });
+    const ceilingInput = document.getElementById("roomCeiling");
+    if (ceilingInput) {
+      ceilingInput.checked = Boolean(plan.settings.ceiling);
+    }
+    const pillarsInput = document.getElementById("roomPillars");
+    if (pillarsInput) {
+      pillarsInput.checked = Boolean(plan.settings.pillars);
+    }
+
+    // The plan keeps its own grid size
+    const houseSizeInput = document.getElementById("roomHouseSize");
+    if (houseSizeInput) {
+      houseSizeInput.value = "custom";
+    }
+    const gridCellsInput = document.getElementById("roomGridCells");
+    if (gridCellsInput) {
+      gridCellsInput.value = plan.gridDivisions;
+    }
+    const storeyInput = document.getElementById("roomDrawStorey");
+    if (storeyInput) {
+      storeyInput.value = "1";
+    }
+
+    this.room.loadRoomPlan(plan);
+    if (!this.room.isDrawingMode && this.room.hasDrawnCells()) {
+      this.generateRoom();
+    }
+  }
+
+  /**
+   * Save text as a file download
+   */
+  downloadRoomFile(content, type, fileName) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
   /**
    * Update UI visibility based on selected shape type
    */
@@ -467,10 +1012,18 @@ export class ShapeControllers {
       customDesignConverterInputs: "customDesignConverter",
       mazeInputs: "maze",
       maze3dInputs: "maze3d",
+      circularMazeInputs: "circularMaze",
+      hexMazeInputs: "hexMaze",
       cylinderSpiralInputs: "cylinderSpiral",
       roomInputs: "room",
       floorUploadSection: "maze3d",
-      roomFloorUploadSection: "room"
+      stairUploadSection: "maze3d",
+      roomFloorUploadSection: "room",
+      roomTriangleFloorUploadSection: "room",
+      windowUploadSection: "room",
+      diagonalWallUploadSection: "room",
+      pillarUploadSection: "room",
+      decorationUploadSection: "room"
     };
 
     Object.entries(sections).forEach(([elementId, targetShape]) => {
@@ -480,6 +1033,31 @@ export class ShapeControllers {
       }
     });
 
+    ["pathUploadSection", "mergedWallExportSection"].forEach((elementId) => {
+      const element = document.getElementById(elementId);
+      if (element) {
+        element.style.display = shapeType === "maze" || shapeType === "maze3d" ? "block" : "none";
+      }
+    });
+
+    const generationSeedInputs = document.getElementById("generationSeedInputs");
+    if (generationSeedInputs) {
+      const supportsSeed = [
+        "wheel",
+        "spiral",
+        "conicalSpiral",
+        "sphericalSpiral",
+        "grid",
+        "particleField",
+        "maze",
+        "maze3d",
+        "circularMaze",
+        "hexMaze",
+        "cylinderSpiral",
+      ].includes(shapeType);
+      generationSeedInputs.style.display = supportsSeed ? "block" : "none";
+    }
+
     const randomDisplacementInputs = document.getElementById("randomDisplacementInputs");
     if (randomDisplacementInputs) {
       const supportsRandomDisplacement = [
@@ -526,7 +1104,9 @@ export class ShapeControllers {
       'generatedGridCount',
       'generatedParticleFieldCount',
       'generatedWallCount',
+      'mazeStats',
       'generated3DWallCount',
+      'maze3dStats',
       'generatedCylinderSpiralCount',
       'generatedRoomCount'
     ];
@@ -580,7 +1160,14 @@ export class ShapeControllers {
     return {
       enabled: true,
       amount,
-      seed: document.getElementById("randomDisplacementSeed")?.value || "",
+      seed: this.getGenerationSeed(),
     };
   }
+
+  /**
+   * Seed shared by every random choice; empty means a fresh random layout each time
+   */
+  getGenerationSeed() {
+    return document.getElementById("generationSeed")?.value.trim() || "";
+  }
 }
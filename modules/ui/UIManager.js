@@ -83,6 +83,50 @@ export class UIManager {
       });
     }
 
+    // Drawing mode uses a top-down view where left-drag pans a large grid
+    if (this.wheel.roomShape) {
+      this.wheel.roomShape.onDrawingModeChange = (active) => {
+        this.cameraControls.setPlanView(active, this.wheel.roomShape.gridSize);
+      };
+    }
+
+    const roomDrawStorey = document.getElementById("roomDrawStorey");
+    if (roomDrawStorey) {
+      roomDrawStorey.addEventListener("change", (e) => {
+        this.shapeControllers.setRoomDrawingStorey(e.target.value);
+      });
+    }
+
+    // Room floor plan save, load and share
+    const roomPlanButtons = {
+      roomSavePlanBtn: () => this.shapeControllers.saveRoomPlan(),
+      roomExportSvgBtn: () => this.shapeControllers.exportRoomPlanSvg(),
+      roomCopyPlanCodeBtn: () => this.shapeControllers.copyRoomPlanCode(),
+      roomLoadPlanCodeBtn: () => this.shapeControllers.loadRoomPlanCode()
+    };
+    Object.entries(roomPlanButtons).forEach(([elementId, handler]) => {
+      const button = document.getElementById(elementId);
+      if (button) {
+        button.addEventListener("click", handler);
+      }
+    });
+    const roomPlanFileInput = document.getElementById("roomPlanFileInput");
+    if (roomPlanFileInput) {
+      roomPlanFileInput.addEventListener("change", (e) => {
+        this.shapeControllers.loadRoomPlanFile(e);
+      });
+    }
+
+    // Room drawing history
+    const roomUndoBtn = document.getElementById("roomUndoBtn");
+    if (roomUndoBtn) {
+      roomUndoBtn.addEventListener("click", () => this.wheel.roomShape.undo());
+    }
+    const roomRedoBtn = document.getElementById("roomRedoBtn");
+    if (roomRedoBtn) {
+      roomRedoBtn.addEventListener("click", () => this.wheel.roomShape.redo());
+    }
+
     // Room floor file upload (in MakePlace JSON Processing section)
     const roomFloorFileInput = document.getElementById("roomFloorFileInput");
     if (roomFloorFileInput) {
@@ -91,6 +135,52 @@ export class UIManager {
       });
     }
 
+    const roomFloorPieceFileInput = document.getElementById("roomFloorPieceFileInput");
+    if (roomFloorPieceFileInput) {
+      roomFloorPieceFileInput.addEventListener("change", (e) => {
+        const length = parseFloat(document.getElementById("roomFloorPieceLength").value);
+        const width = parseFloat(document.getElementById("roomFloorPieceWidth").value);
+        this.fileHandlers.handleRoomFloorPieceUpload(e, length, width, () => {
+          this.shapeControllers.updateRoomFloorPieces();
+        });
+      });
+    }
+
+    const roomTriangleFloorFileInput = document.getElementById("roomTriangleFloorFileInput");
+    if (roomTriangleFloorFileInput) {
+      roomTriangleFloorFileInput.addEventListener("change", (e) => {
+        this.fileHandlers.handleDesignUpload(e, "Triangle floor", "uploadedRoomTriangleFloorDesign");
+      });
+    }
+
+    const windowFileInput = document.getElementById("windowFileInput");
+    if (windowFileInput) {
+      windowFileInput.addEventListener("change", (e) => {
+        this.fileHandlers.handleDesignUpload(e, "Window", "uploadedWindowDesign");
+      });
+    }
+
+    const diagonalWallFileInput = document.getElementById("diagonalWallFileInput");
+    if (diagonalWallFileInput) {
+      diagonalWallFileInput.addEventListener("change", (e) => {
+        this.fileHandlers.handleDesignUpload(e, "Diagonal wall", "uploadedDiagonalWallDesign");
+      });
+    }
+
+    const pillarFileInput = document.getElementById("pillarFileInput");
+    if (pillarFileInput) {
+      pillarFileInput.addEventListener("change", (e) => {
+        this.fileHandlers.handleDesignUpload(e, "Pillar", "uploadedPillarDesign");
+      });
+    }
+
+    const decorationFileInput = document.getElementById("decorationFileInput");
+    if (decorationFileInput) {
+      decorationFileInput.addEventListener("change", (e) => {
+        this.fileHandlers.handleDesignUpload(e, "Decoration", "uploadedDecorationDesign");
+      });
+    }
+
     // MakePlace format toggle
     document.getElementById("makePlaceFormat").addEventListener("change", (e) => {
       this.coordinatesDisplay.setMakePlaceFormat(e.target.checked);
@@ -116,6 +206,47 @@ export class UIManager {
       this.fileHandlers.handleFloorFileUpload(e);
     });
 
+    const stairFileInput = document.getElementById("stairFileInput");
+    if (stairFileInput) {
+      stairFileInput.addEventListener("change", (e) => {
+        this.fileHandlers.handleDesignUpload(e, "Stair", "uploadedStairDesign");
+      });
+    }
+
+    const pathFileInput = document.getElementById("pathFileInput");
+    if (pathFileInput) {
+      pathFileInput.addEventListener("change", (e) => {
+        this.fileHandlers.handleDesignUpload(e, "Path", "uploadedPathDesign");
+      });
+    }
+
+    // Maze shape: full rectangle, Room drawing grid or a black-and-white image
+    const mazeShapeSource = document.getElementById("mazeShapeSource");
+    const mazeMaskImageSection = document.getElementById("mazeMaskImageSection");
+    if (mazeShapeSource && mazeMaskImageSection) {
+      mazeShapeSource.addEventListener("change", (e) => {
+        mazeMaskImageSection.style.display = e.target.value === "image" ? "block" : "none";
+      });
+    }
+
+    const mazeMaskImageInput = document.getElementById("mazeMaskImageInput");
+    if (mazeMaskImageInput) {
+      mazeMaskImageInput.addEventListener("change", (e) => {
+        this.shapeControllers.loadMazeMaskImage(e.target.files[0]);
+      });
+    }
+
+    // Show manual entrance/exit inputs only when manual placement is selected
+    ["maze", "maze3d"].forEach((prefix) => {
+      const openingsSelect = document.getElementById(`${prefix}Openings`);
+      const manualOpenings = document.getElementById(`${prefix}ManualOpenings`);
+      if (openingsSelect && manualOpenings) {
+        openingsSelect.addEventListener("change", (e) => {
+          manualOpenings.style.display = e.target.value === "manual" ? "block" : "none";
+        });
+      }
+    });
+
     const particleJumpTemplateFileInput = document.getElementById("particleJumpTemplateFileInput");
     if (particleJumpTemplateFileInput) {
       particleJumpTemplateFileInput.addEventListener("change", (e) => {
@@ -123,6 +254,26 @@ export class UIManager {
       });
     }
 
+    const particleRestFileInput = document.getElementById("particleRestFileInput");
+    if (particleRestFileInput) {
+      particleRestFileInput.addEventListener("change", (e) => {
+        this.fileHandlers.handleDesignUpload(e, "Rest platform", "uploadedParticleRestDesign");
+      });
+    }
+
+    [
+      ["particleSideRouteFileInput", "Side route", "uploadedParticleSideRouteDesign"],
+      ["particleDeadEndFileInput", "Dead end", "uploadedParticleDeadEndDesign"],
+      ["particleShortcutFileInput", "Shortcut", "uploadedParticleShortcutDesign"],
+    ].forEach(([inputId, label, field]) => {
+      const input = document.getElementById(inputId);
+      if (input) {
+        input.addEventListener("change", (e) => {
+          this.fileHandlers.handleDesignUpload(e, label, field);
+        });
+      }
+    });
+
     document.getElementById("processDesignBtn").addEventListener("click", () => {
       this.processDesign();
     });
@@ -164,6 +315,12 @@ export class UIManager {
         case "maze3d":
           success = this.shapeControllers.generateMaze3D();
           break;
+        case "circularMaze":
+          success = this.shapeControllers.generateCircularMaze();
+          break;
+        case "hexMaze":
+          success = this.shapeControllers.generateHexMaze();
+          break;
         case "cylinderSpiral":
           success = this.shapeControllers.generateCylinderSpiral();
           break;
@@ -286,11 +443,18 @@ export class UIManager {
   }
 
   getProcessingOptions() {
+    if (this.shapeType === "maze" || this.shapeType === "maze3d") {
+      return {
+        mergedWallExport: document.getElementById("mergedWallExport")?.value || "scale",
+      };
+    }
+
     if (this.shapeType !== "particleField") {
       return {};
     }
 
     return {
+      seed: this.shapeControllers.getGenerationSeed(),
       randomItemRotation: Boolean(document.getElementById("particleFieldRandomRotation")?.checked),
       objectClearanceEnabled: Boolean(document.getElementById("particleFieldObjectClearance")?.checked),
       objectClearanceRadius: parseFloat(document.getElementById("particleFieldObjectRadius")?.value || "0"),
@@ -370,7 +534,7 @@ export class UIManager {
       z: boundingBox.max.z - boundingBox.min.z
     };
 
-    return {
+    const stats = {
       pointCount: points.length,
       boundingBox,
       size,
@@ -380,6 +544,19 @@ export class UIManager {
         z: (boundingBox.min.z + boundingBox.max.z) / 2
       }
     };
+
+    // Mazes also report solution length, dead ends and junctions
+    const maze = {
+      maze: this.maze,
+      maze3d: this.maze3d,
+      circularMaze: this.wheel.circularMazeShape,
+      hexMaze: this.wheel.hexMazeShape
+    }[this.shapeType];
+    if (maze) {
+      stats.maze = maze.getMazeStats();
+    }
+
+    return stats;
   }
 
   /**
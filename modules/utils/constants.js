@@ -13,6 +13,10 @@ export const COLORS = {
   FLOOR: 0x0066ff,        // Blue
   FLOOR_EMISSIVE: 0x001133,
   FLOOR_SPECULAR: 0x113333,
+  MAZE_PATH: 0xffd400,    // Gold
+  STAIR: 0x22aa44,        // Green
+  STAIR_EMISSIVE: 0x002211,
+  STAIR_SPECULAR: 0x113311,
   
   // UI colors
   AXIS_X: 0xff0000,       // Red
@@ -26,10 +30,20 @@ export const COLORS = {
   GRID_CELL: 0x888888,    // Gray
   GRID_LINE: 0x444444,    // Dark gray
   SELECTED_CELL: 0x00ff00, // Green
+  DOORWAY: 0xffaa00,      // Orange
+  WINDOW: 0x66ccff,       // Light blue
+  PILLAR: 0xc8a165,       // Sandstone
+  DECORATION: 0xffd24d,   // Lamp yellow
+  PARTITION: 0x333333,    // Charcoal
   FLOOR_POINT: 0x0066ff,  // Blue
   WALL_POINT: 0xff0000,   // Red
   CENTER_POINT: 0x00ff00, // Green
-  PARTICLE_FIELD: 0x8fd8ff
+  PARTICLE_FIELD: 0x8fd8ff,
+  PARTICLE_GOAL: 0xffb000,
+  PARTICLE_REST: 0x7dff9a,
+  PARTICLE_SIDE_ROUTE: 0xc58cff,
+  PARTICLE_DEAD_END: 0xff6b6b,
+  PARTICLE_SHORTCUT: 0xffe066
 };
 
 // Size constants
@@ -113,7 +127,22 @@ export const DEFAULTS = {
     WIDTH: 50,
     DEPTH: 50,
     HEIGHT: 20,
-    COUNT: 100
+    COUNT: 100,
+    VOLUME: 'box', // 'box', 'cylinder', 'sphere', 'dome' or 'cone'
+    GUIDE_TOLERANCE: 2, // Largest distance of a chain point from its guide curve
+    // Jump chain difficulty: jump lengths as fractions of the jump template's flat and
+    // height limits, the chance a jump changes height, and a rest platform every N jumps (0 = none)
+    DIFFICULTY_PROFILES: {
+      easy: { flatFraction: [0.3, 0.6], heightFraction: [0.1, 0.4], heightChangeChance: 0.35, restEvery: 6 },
+      medium: { flatFraction: [0.5, 0.8], heightFraction: [0.3, 0.7], heightChangeChance: 0.6, restEvery: 10 },
+      hard: { flatFraction: [0.75, 1], heightFraction: [0.6, 1], heightChangeChance: 0.85, restEvery: 0 }
+    },
+    // Jump chain branches
+    MAX_BRANCHES: 20, // Most side routes, dead ends or shortcuts of each kind
+    SIDE_ROUTE_SPAN: [3, 6], // Main chain jumps a side route runs alongside before rejoining
+    DEAD_END_JUMPS: [2, 4],
+    SHORTCUT_JUMP_FRACTION: 0.95, // Shortest way onto a shortcut, as a fraction of the jump template's flat limit
+    BRANCH_SPACING: 0.3 // Closest a branch point sits to any other point, as a fraction of the flat limit
   },
   
   // Maze
@@ -122,7 +151,13 @@ export const DEFAULTS = {
     WALL_WIDTH: 1,
     WALL_HEIGHT: 6,
     GRID_WIDTH: 5,
-    GRID_HEIGHT: 5
+    GRID_HEIGHT: 5,
+    ALGORITHM: 'recursiveBacktracker',
+    OPENINGS: 'none',
+    BRAID: 0,
+    LOOPS: 0,
+    MERGE_WALLS: false,
+    MERGED_WALL_EXPORT: 'scale'
   },
   
   // 3D Maze
@@ -132,7 +167,34 @@ export const DEFAULTS = {
     GRID_WIDTH: 3,
     GRID_HEIGHT: 3,
     FLOORS: 2,
-    MAX_FLOORS: 10
+    MAX_FLOORS: 10,
+    ALGORITHM: 'recursiveBacktracker',
+    BRAID: 0,
+    LOOPS: 0,
+    MERGE_WALLS: false,
+    STAIRS: false,
+    STAIR_WIDTH: 2,
+    STAIR_THICKNESS: 0.5
+  },
+  
+  // Circular Maze
+  CIRCULAR_MAZE: {
+    CELL_LENGTH: 4,
+    WALL_WIDTH: 1,
+    WALL_HEIGHT: 6,
+    RINGS: 5,
+    MAX_RINGS: 20,
+    ALGORITHM: 'recursiveBacktracker'
+  },
+  
+  // Hex Maze
+  HEX_MAZE: {
+    WALL_LENGTH: 4,
+    WALL_WIDTH: 1,
+    WALL_HEIGHT: 6,
+    GRID_WIDTH: 5,
+    GRID_HEIGHT: 5,
+    ALGORITHM: 'recursiveBacktracker'
   },
   
   // Cylinder Spiral
@@ -148,7 +210,23 @@ export const DEFAULTS = {
     WALL_WIDTH: 1,
     WALL_HEIGHT: 6,
     FLOOR_LENGTH: 4,
-    FLOOR_WIDTH: 4
+    FLOOR_WIDTH: 4,
+    STOREYS: 1,
+    MAX_STOREYS: 5,
+    WALL_COURSES: 1,
+    MAX_WALL_COURSES: 5,
+    CEILING: false,
+    PILLARS: false,
+    DECORATIONS: false,
+    DECORATION_INTERVAL: 8,  // Distance between wall decorations along a wall
+    MAX_DECORATION_INTERVAL: 80,
+    DECORATION_HEIGHT: 3,    // Height of wall decorations above their storey's floor
+    MAX_HISTORY: 100,
+    GRID_DIVISIONS: 20,
+    MAX_GRID_DIVISIONS: 80,
+    // Interior span of each MakePlace house size, with some margin
+    HOUSE_SPANS: { Small: 24, Medium: 36, Large: 48 },
+    FLOOR_TILING_NODE_LIMIT: 200000 // Search steps per floor area before keeping the best tiling found
   }
 };
 
@@ -0,0 +1,170 @@
+/**
+ * Exact floor tiling for Room floors.
+ *
+ * Pieces are rectangles measured in grid cells. A tiling places pieces (in either
+ * orientation) so that each covers only drawn cells and no two overlap. The search
+ * minimises the number of cells left bare first, then the number of pieces.
+ */
+
+export const DEFAULT_TILING_NODE_LIMIT = 200000;
+
+/**
+ * Tiles a set of grid cells with the fewest pieces
+ * @param {Array<{x: number, z: number}>} cells - Cells to cover
+ * @param {Array<Object>} pieces - Available pieces ({ cellsX, cellsZ, ... }); extra fields are passed through
+ * @param {Object} options
+ * @param {number} options.nodeLimit - Search steps before settling for the best tiling found so far
+ * @returns {{ placements: Array<Object>, uncovered: Array<{x: number, z: number}>, exact: boolean }}
+ *   Placements hold the corner cell (x, z), the covered size (cellsX, cellsZ), the piece
+ *   and whether it was rotated; exact is false when the search ran out of steps
+ */
+export function tileFloorCells(cells, pieces, { nodeLimit = DEFAULT_TILING_NODE_LIMIT } = {}) {
+  if (cells.length === 0) {
+    return { placements: [], uncovered: [], exact: true };
+  }
+
+  const minX = Math.min(...cells.map((cell) => cell.x));
+  const minZ = Math.min(...cells.map((cell) => cell.z));
+  const width = Math.max(...cells.map((cell) => cell.x)) - minX + 1;
+  const depth = Math.max(...cells.map((cell) => cell.z)) - minZ + 1;
+
+  // 1 = drawn and still bare, 0 = outside the room or already covered
+  const open = new Uint8Array(width * depth);
+  cells.forEach((cell) => {
+    open[(cell.z - minZ) * width + (cell.x - minX)] = 1;
+  });
+
+  const shapes = getPieceShapes(pieces);
+  const largestArea = shapes.length > 0 ? shapes[0].cellsX * shapes[0].cellsZ : 1;
+
+  const current = [];
+  const skipped = [];
+  let best = null;
+  let nodes = 0;
+
+  const fits = (x, z, shape) => {
+    if (x + shape.cellsX > width || z + shape.cellsZ > depth) return false;
+    for (let dz = 0; dz < shape.cellsZ; dz++) {
+      for (let dx = 0; dx < shape.cellsX; dx++) {
+        if (!open[(z + dz) * width + x + dx]) return false;
+      }
+    }
+    return true;
+  };
+
+  const fill = (x, z, shape, value) => {
+    for (let dz = 0; dz < shape.cellsZ; dz++) {
+      for (let dx = 0; dx < shape.cellsX; dx++) {
+        open[(z + dz) * width + x + dx] = value;
+      }
+    }
+  };
+
+  const isBetter = (uncovered, pieceCount) =>
+    !best || uncovered < best.skipped.length || (uncovered === best.skipped.length && pieceCount < best.placements.length);
+
+  // The first bare cell in row order must be the top-left corner of whichever
+  // piece covers it, so each step only tries pieces anchored there. The search
+  // keeps its own stack because a large room is thousands of steps deep.
+  const enter = (start, remaining) => {
+    nodes++;
+
+    let index = start;
+    while (index < open.length && !open[index]) index++;
+
+    if (index === open.length) {
+      if (isBetter(skipped.length, current.length)) {
+        best = { placements: current.slice(), skipped: skipped.slice() };
+      }
+      return null;
+    }
+
+    // Even the largest piece everywhere cannot beat the best tiling found
+    if (!isBetter(skipped.length, current.length + Math.ceil(remaining / largestArea))) return null;
+    if (nodes > nodeLimit && best) return null;
+
+    return { index, x: index % width, z: Math.floor(index / width), remaining, next: 0, applied: null };
+  };
+
+  const undo = (step) => {
+    if (step.applied === "skip") {
+      skipped.pop();
+      open[step.index] = 1;
+    } else if (step.applied) {
+      current.pop();
+      fill(step.x, step.z, step.applied, 1);
+    }
+    step.applied = null;
+  };
+
+  const stack = [enter(0, cells.length)];
+  while (stack.length > 0) {
+    const step = stack[stack.length - 1];
+    undo(step);
+
+    let child = null;
+    let tried = false;
+    while (!tried && step.next <= shapes.length) {
+      const option = step.next++;
+
+      if (option < shapes.length) {
+        const shape = shapes[option];
+        if (!fits(step.x, step.z, shape)) continue;
+
+        fill(step.x, step.z, shape, 0);
+        current.push({ x: step.x + minX, z: step.z + minZ, shape });
+        step.applied = shape;
+        child = enter(step.index + 1, step.remaining - shape.cellsX * shape.cellsZ);
+      } else {
+        // Leaving the cell bare is the last resort
+        open[step.index] = 0;
+        skipped.push({ x: step.x + minX, z: step.z + minZ });
+        step.applied = "skip";
+        child = enter(step.index + 1, step.remaining - 1);
+      }
+      tried = true;
+    }
+
+    if (!tried) {
+      stack.pop();
+    } else if (child) {
+      stack.push(child);
+    }
+  }
+
+  return {
+    placements: best.placements.map(({ x, z, shape }) => ({
+      x,
+      z,
+      cellsX: shape.cellsX,
+      cellsZ: shape.cellsZ,
+      piece: shape.piece,
+      rotated: shape.rotated,
+    })),
+    uncovered: best.skipped,
+    exact: nodes <= nodeLimit,
+  };
+}
+
+/**
+ * Lists each piece in both orientations, largest first; pieces of the same
+ * size keep the first one listed
+ */
+function getPieceShapes(pieces) {
+  const shapes = [];
+  const seen = new Set();
+
+  pieces.forEach((piece) => {
+    [
+      { cellsX: piece.cellsX, cellsZ: piece.cellsZ, rotated: false },
+      { cellsX: piece.cellsZ, cellsZ: piece.cellsX, rotated: true },
+    ].forEach((shape) => {
+      const key = `${shape.cellsX}x${shape.cellsZ}`;
+      if (shape.cellsX < 1 || shape.cellsZ < 1 || seen.has(key)) return;
+      seen.add(key);
+      shapes.push({ ...shape, piece });
+    });
+  });
+
+  return shapes.sort((a, b) => b.cellsX * b.cellsZ - a.cellsX * a.cellsZ);
+}
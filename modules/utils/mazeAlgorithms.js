@@ -0,0 +1,460 @@
+/**
+ * Maze carving algorithms shared by the maze generators.
+ *
+ * Every algorithm works on a flat array of cells shaped like the maze grid cells
+ * ({ pos, neighbours, connections, isVisited }) and carves passages by adding
+ * bidirectional entries to `connections`. The array order matters for the
+ * ordered algorithms (Eller's, hunt-and-kill and binary tree), so callers pass
+ * cells in row-major order.
+ */
+
+export const MAZE_ALGORITHMS = {
+  RECURSIVE_BACKTRACKER: 'recursiveBacktracker',
+  PRIMS: 'prims',
+  KRUSKALS: 'kruskals',
+  WILSONS: 'wilsons',
+  ELLERS: 'ellers',
+  HUNT_AND_KILL: 'huntAndKill',
+  BINARY_TREE: 'binaryTree'
+};
+
+/**
+ * Carves maze passages between the given cells
+ * @param {Object[]} cells - Maze cells in row-major order
+ * @param {Object} options - Carving options
+ * @param {string} options.algorithm - One of MAZE_ALGORITHMS
+ * @param {Function} options.random - Random generator returning [0, 1)
+ * @param {Function} options.getLayer - Returns the row (or floor) a cell belongs to, used by Eller's
+ * @returns {Object[]} The carved cells
+ */
+export function generateMazePassages(cells, {
+  algorithm = MAZE_ALGORITHMS.RECURSIVE_BACKTRACKER,
+  random = Math.random,
+  getLayer = (cell) => cell.pos.y
+} = {}) {
+  if (cells.length === 0) {
+    return cells;
+  }
+
+  switch (algorithm) {
+    case MAZE_ALGORITHMS.RECURSIVE_BACKTRACKER:
+      carveRecursiveBacktracker(cells, random);
+      break;
+    case MAZE_ALGORITHMS.PRIMS:
+      carvePrims(cells, random);
+      break;
+    case MAZE_ALGORITHMS.KRUSKALS:
+      carveKruskals(cells, random);
+      break;
+    case MAZE_ALGORITHMS.WILSONS:
+      carveWilsons(cells, random);
+      break;
+    case MAZE_ALGORITHMS.ELLERS:
+      carveEllers(cells, random, getLayer);
+      break;
+    case MAZE_ALGORITHMS.HUNT_AND_KILL:
+      carveHuntAndKill(cells, random);
+      break;
+    case MAZE_ALGORITHMS.BINARY_TREE:
+      carveBinaryTree(cells, random);
+      break;
+    default:
+      throw new Error(`Unknown maze algorithm: ${algorithm}`);
+  }
+
+  // Irregular (masked) grids can leave Eller's and binary tree with separate regions
+  joinMazeRegions(cells, random);
+
+  return cells;
+}
+
+/**
+ * Adds extra passages to a carved maze so it has more than one route
+ * @param {Object[]} cells - Carved maze cells
+ * @param {Object} options - Braiding options
+ * @param {number} options.braid - Share of dead ends to remove, 0-100
+ * @param {number} options.loops - Number of extra passages to open between random neighbours
+ * @param {Function} options.random - Random generator returning [0, 1)
+ * @param {Function} options.canLink - (cell, neighbour) => true when a passage may be opened between them
+ * @returns {Object} { deadEndsRemoved, loopsAdded }
+ */
+export function braidMazePassages(cells, {
+  braid = 0,
+  loops = 0,
+  random = Math.random,
+  canLink = () => true
+} = {}) {
+  const cellSet = new Set(cells);
+  const getClosedNeighbours = (cell) => cell.neighbours.filter(
+    (neighbour) => cellSet.has(neighbour) && !cell.connections.has(neighbour) && canLink(cell, neighbour)
+  );
+
+  // Open each chosen dead end into a neighbour, preferring another dead end so one passage removes two
+  const deadEnds = shuffle(cells.filter((cell) => cell.connections.size === 1), random);
+  const deadEndTarget = Math.round(deadEnds.length * Math.min(Math.max(braid, 0), 100) / 100);
+  let deadEndsRemoved = 0;
+
+  for (const cell of deadEnds) {
+    if (deadEndsRemoved >= deadEndTarget) break;
+    if (cell.connections.size !== 1) continue;
+
+    const closedNeighbours = getClosedNeighbours(cell);
+    if (closedNeighbours.length === 0) continue;
+
+    const deadEndNeighbours = closedNeighbours.filter((neighbour) => neighbour.connections.size === 1);
+    const neighbour = pickRandom(deadEndNeighbours.length > 0 ? deadEndNeighbours : closedNeighbours, random);
+    deadEndsRemoved += neighbour.connections.size === 1 ? 2 : 1;
+    linkCells(cell, neighbour);
+  }
+
+  // Each extra passage between two connected cells closes one loop
+  let loopsAdded = 0;
+  const walls = [];
+  cells.forEach((cell) => {
+    getClosedNeighbours(cell).forEach((neighbour) => walls.push([cell, neighbour]));
+  });
+
+  for (const [a, b] of shuffle(walls, random)) {
+    if (loopsAdded >= loops) break;
+    if (a.connections.has(b)) continue;
+
+    linkCells(a, b);
+    loopsAdded++;
+  }
+
+  return { deadEndsRemoved, loopsAdded };
+}
+
+/**
+ * Depth-first search that backtracks when it runs out of unvisited neighbours
+ */
+function carveRecursiveBacktracker(cells, random) {
+  const startCell = cells[0];
+  startCell.isVisited = true;
+  const stack = [startCell];
+
+  while (stack.length > 0) {
+    const currentCell = stack[stack.length - 1];
+    const unvisitedNeighbours = currentCell.neighbours.filter((n) => !n.isVisited);
+
+    if (unvisitedNeighbours.length > 0) {
+      const nextCell = pickRandom(unvisitedNeighbours, random);
+      linkCells(currentCell, nextCell);
+      nextCell.isVisited = true;
+      stack.push(nextCell);
+    } else {
+      stack.pop();
+    }
+  }
+}
+
+/**
+ * Randomized Prim's: grows the maze from a random cell by attaching random frontier cells
+ */
+function carvePrims(cells, random) {
+  const startCell = pickRandom(cells, random);
+  startCell.isVisited = true;
+  const frontier = [];
+  const inFrontier = new Set();
+
+  const addFrontier = (cell) => {
+    cell.neighbours.forEach((neighbour) => {
+      if (!neighbour.isVisited && !inFrontier.has(neighbour)) {
+        inFrontier.add(neighbour);
+        frontier.push(neighbour);
+      }
+    });
+  };
+
+  addFrontier(startCell);
+
+  while (frontier.length > 0) {
+    const index = Math.floor(random() * frontier.length);
+    const cell = frontier[index];
+    frontier[index] = frontier[frontier.length - 1];
+    frontier.pop();
+
+    const visitedNeighbours = cell.neighbours.filter((n) => n.isVisited);
+    linkCells(cell, pickRandom(visitedNeighbours, random));
+    cell.isVisited = true;
+    addFrontier(cell);
+  }
+}
+
+/**
+ * Randomized Kruskal's: joins random walls between cells that are not yet connected
+ */
+function carveKruskals(cells, random) {
+  const indexOf = new Map(cells.map((cell, index) => [cell, index]));
+  const parent = cells.map((_, index) => index);
+
+  const find = (index) => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+
+  const edges = [];
+  cells.forEach((cell, index) => {
+    cell.neighbours.forEach((neighbour) => {
+      const neighbourIndex = indexOf.get(neighbour);
+      if (neighbourIndex !== undefined && neighbourIndex > index) {
+        edges.push([cell, neighbour]);
+      }
+    });
+  });
+
+  shuffle(edges, random).forEach(([a, b]) => {
+    const rootA = find(indexOf.get(a));
+    const rootB = find(indexOf.get(b));
+    if (rootA !== rootB) {
+      parent[rootA] = rootB;
+      linkCells(a, b);
+    }
+  });
+
+  cells.forEach((cell) => {
+    cell.isVisited = true;
+  });
+}
+
+/**
+ * Wilson's: loop-erased random walks, giving an unbiased uniform spanning tree
+ */
+function carveWilsons(cells, random) {
+  const inMaze = new Set([pickRandom(cells, random)]);
+
+  shuffle([...cells], random).forEach((walkStart) => {
+    if (inMaze.has(walkStart)) return;
+
+    // Walk until the maze is reached, remembering only the last exit from each cell
+    const nextStep = new Map();
+    let current = walkStart;
+    while (!inMaze.has(current)) {
+      const next = pickRandom(current.neighbours, random);
+      nextStep.set(current, next);
+      current = next;
+    }
+
+    // Retrace the loop-erased path and add it to the maze
+    current = walkStart;
+    while (!inMaze.has(current)) {
+      const next = nextStep.get(current);
+      linkCells(current, next);
+      inMaze.add(current);
+      current = next;
+    }
+  });
+
+  cells.forEach((cell) => {
+    cell.isVisited = true;
+  });
+}
+
+/**
+ * Eller's: carves one layer (row, or floor for 3D mazes) at a time, tracking sets
+ * so every region gets at least one passage into the next layer
+ */
+function carveEllers(cells, random, getLayer) {
+  const layerMap = new Map();
+  cells.forEach((cell) => {
+    const layer = getLayer(cell);
+    if (!layerMap.has(layer)) {
+      layerMap.set(layer, []);
+    }
+    layerMap.get(layer).push(cell);
+  });
+
+  const layerKeys = Array.from(layerMap.keys()).sort((a, b) => a - b);
+  const setOf = new Map();
+  let nextSetId = 0;
+
+  layerKeys.forEach((layerKey, layerIndex) => {
+    const layerCells = layerMap.get(layerKey);
+    const isLastLayer = layerIndex === layerKeys.length - 1;
+    const nextLayerKey = layerKeys[layerIndex + 1];
+
+    layerCells.forEach((cell) => {
+      if (!setOf.has(cell)) {
+        setOf.set(cell, nextSetId++);
+      }
+    });
+
+    // Randomly join neighbouring cells in this layer; the last layer joins every remaining set
+    const layerIndexOf = new Map(layerCells.map((cell, index) => [cell, index]));
+    const pairs = [];
+    layerCells.forEach((cell, index) => {
+      cell.neighbours.forEach((neighbour) => {
+        const neighbourIndex = layerIndexOf.get(neighbour);
+        if (neighbourIndex !== undefined && neighbourIndex > index) {
+          pairs.push([cell, neighbour]);
+        }
+      });
+    });
+
+    shuffle(pairs, random).forEach(([a, b]) => {
+      const setA = setOf.get(a);
+      const setB = setOf.get(b);
+      if (setA === setB || (!isLastLayer && random() >= 0.5)) return;
+
+      linkCells(a, b);
+      layerCells.forEach((cell) => {
+        if (setOf.get(cell) === setA) {
+          setOf.set(cell, setB);
+        }
+      });
+    });
+
+    if (isLastLayer) return;
+
+    // Every set carves at least one passage into the next layer
+    const sets = new Map();
+    layerCells.forEach((cell) => {
+      const setId = setOf.get(cell);
+      if (!sets.has(setId)) {
+        sets.set(setId, []);
+      }
+      sets.get(setId).push(cell);
+    });
+
+    sets.forEach((members, setId) => {
+      const candidates = shuffle(members.filter((cell) => getNextLayerNeighbour(cell, nextLayerKey, getLayer)), random);
+      candidates.forEach((cell, index) => {
+        if (index > 0 && random() >= 0.3) return;
+
+        const below = getNextLayerNeighbour(cell, nextLayerKey, getLayer);
+        linkCells(cell, below);
+        setOf.set(below, setId);
+      });
+    });
+  });
+
+  cells.forEach((cell) => {
+    cell.isVisited = true;
+  });
+}
+
+/**
+ * Hunt-and-kill: random walk until stuck, then scan for an unvisited cell beside the maze
+ */
+function carveHuntAndKill(cells, random) {
+  let current = cells[0];
+  current.isVisited = true;
+
+  while (current) {
+    const unvisitedNeighbours = current.neighbours.filter((n) => !n.isVisited);
+
+    if (unvisitedNeighbours.length > 0) {
+      const nextCell = pickRandom(unvisitedNeighbours, random);
+      linkCells(current, nextCell);
+      nextCell.isVisited = true;
+      current = nextCell;
+      continue;
+    }
+
+    current = null;
+    for (const cell of cells) {
+      if (cell.isVisited) continue;
+
+      const visitedNeighbours = cell.neighbours.filter((n) => n.isVisited);
+      if (visitedNeighbours.length > 0) {
+        linkCells(cell, pickRandom(visitedNeighbours, random));
+        cell.isVisited = true;
+        current = cell;
+        break;
+      }
+    }
+  }
+}
+
+/**
+ * Binary tree: each cell opens a passage to one random neighbour that comes earlier in the grid
+ * (west or north on a flat maze, plus down on a 3D maze)
+ */
+function carveBinaryTree(cells, random) {
+  const indexOf = new Map(cells.map((cell, index) => [cell, index]));
+
+  cells.forEach((cell, index) => {
+    const earlierNeighbours = cell.neighbours.filter((neighbour) => {
+      const neighbourIndex = indexOf.get(neighbour);
+      return neighbourIndex !== undefined && neighbourIndex < index;
+    });
+
+    if (earlierNeighbours.length > 0) {
+      linkCells(cell, pickRandom(earlierNeighbours, random));
+    }
+    cell.isVisited = true;
+  });
+}
+
+/**
+ * Joins carved regions that are not yet connected through random walls between them,
+ * so the maze stays a single tree. Does nothing when the maze is already connected.
+ */
+function joinMazeRegions(cells, random) {
+  const indexOf = new Map(cells.map((cell, index) => [cell, index]));
+  const parent = cells.map((_, index) => index);
+
+  const find = (index) => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+
+  const edges = [];
+  cells.forEach((cell, index) => {
+    cell.connections.forEach((neighbour) => {
+      const neighbourIndex = indexOf.get(neighbour);
+      if (neighbourIndex !== undefined) {
+        parent[find(index)] = find(neighbourIndex);
+      }
+    });
+    cell.neighbours.forEach((neighbour) => {
+      const neighbourIndex = indexOf.get(neighbour);
+      if (neighbourIndex !== undefined && neighbourIndex > index) {
+        edges.push([index, neighbourIndex]);
+      }
+    });
+  });
+
+  const regions = new Set(cells.map((_, index) => find(index)));
+  if (regions.size <= 1) return;
+
+  shuffle(edges, random).forEach(([a, b]) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) {
+      parent[rootA] = rootB;
+      linkCells(cells[a], cells[b]);
+    }
+  });
+
+  cells.forEach((cell) => {
+    cell.isVisited = true;
+  });
+}
+
+function getNextLayerNeighbour(cell, nextLayerKey, getLayer) {
+  return cell.neighbours.find((neighbour) => getLayer(neighbour) === nextLayerKey) || null;
+}
+
+function linkCells(a, b) {
+  a.connections.add(b);
+  b.connections.add(a);
+}
+
+function pickRandom(items, random) {
+  return items[Math.min(Math.floor(random() * items.length), items.length - 1)];
+}
+
+function shuffle(items, random) {
+  for (let index = items.length - 1; index > 0; index--) {
+    const swapIndex = Math.min(Math.floor(random() * (index + 1)), index);
+    [items[index], items[swapIndex]] = [items[swapIndex], items[index]];
+  }
+  return items;
+}
@@ -0,0 +1,121 @@
+/**
+ * Helpers for building maze masks: 2D arrays of booleans, indexed [row][column],
+ * where true marks a cell that belongs to the maze.
+ */
+
+export const MASK_DARKNESS_THRESHOLD = 128;
+export const MASK_ALPHA_THRESHOLD = 128;
+
+/**
+ * Builds a mask from Room drawing grid cell keys ("x,z")
+ * @param {Iterable<string>} cellKeys - Selected cell keys
+ * @returns {boolean[][]} Mask cropped to the selected cells
+ */
+export function cellKeysToMazeMask(cellKeys) {
+  const cells = Array.from(cellKeys, (key) => key.split(",").map(Number));
+  if (cells.length === 0) {
+    throw new Error("No cells are drawn in the Room grid");
+  }
+
+  const width = Math.max(...cells.map(([x]) => x)) + 1;
+  const height = Math.max(...cells.map(([, z]) => z)) + 1;
+  const mask = Array.from({ length: height }, () => Array(width).fill(false));
+  cells.forEach(([x, z]) => {
+    mask[z][x] = true;
+  });
+
+  return cropMazeMask(mask);
+}
+
+/**
+ * Builds a mask from image pixels; dark, opaque pixels are inside the maze
+ * @param {ImageData} imageData - Image pixels, already scaled to one pixel per cell
+ * @param {number} darknessThreshold - Pixels with brightness below this are inside
+ * @returns {boolean[][]} Mask cropped to the dark pixels
+ */
+export function imageDataToMazeMask(imageData, darknessThreshold = MASK_DARKNESS_THRESHOLD) {
+  const { width, height, data } = imageData;
+  const mask = Array.from({ length: height }, (_, row) =>
+    Array.from({ length: width }, (_, col) => {
+      const offset = (row * width + col) * 4;
+      const brightness = 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+      return data[offset + 3] >= MASK_ALPHA_THRESHOLD && brightness < darknessThreshold;
+    })
+  );
+
+  if (!mask.some((row) => row.includes(true))) {
+    throw new Error("The image has no dark pixels to use as the maze shape");
+  }
+
+  return cropMazeMask(mask);
+}
+
+/**
+ * Trims empty rows and columns around a mask
+ * @param {boolean[][]} mask - Maze mask
+ * @returns {boolean[][]} Cropped mask
+ */
+export function cropMazeMask(mask) {
+  const rows = mask.map((row, index) => (row.includes(true) ? index : -1)).filter((index) => index >= 0);
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const columns = mask[0]
+    .map((_, col) => (mask.some((row) => row[col]) ? col : -1))
+    .filter((col) => col >= 0);
+
+  return mask
+    .slice(rows[0], rows[rows.length - 1] + 1)
+    .map((row) => row.slice(columns[0], columns[columns.length - 1] + 1));
+}
+
+/**
+ * Keeps only the largest edge-connected region of a mask, since a maze
+ * cannot join cells that do not touch
+ * @param {boolean[][]} mask - Maze mask
+ * @returns {boolean[][]} Cropped mask with a single region
+ */
+export function getLargestMaskRegion(mask) {
+  const height = mask.length;
+  const width = height > 0 ? mask[0].length : 0;
+  const regionOf = mask.map((row) => row.map(() => -1));
+  let largestRegion = -1;
+  let largestSize = 0;
+  let regionCount = 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!mask[y][x] || regionOf[y][x] !== -1) continue;
+
+      const region = regionCount++;
+      const stack = [[x, y]];
+      let size = 0;
+      regionOf[y][x] = region;
+
+      while (stack.length > 0) {
+        const [cx, cy] = stack.pop();
+        size++;
+        [[1, 0], [-1, 0], [0, 1], [0, -1]].forEach(([dx, dy]) => {
+          const nx = cx + dx;
+          const ny = cy + dy;
+          if (mask[ny]?.[nx] && regionOf[ny][nx] === -1) {
+            regionOf[ny][nx] = region;
+            stack.push([nx, ny]);
+          }
+        });
+      }
+
+      if (size > largestSize) {
+        largestSize = size;
+        largestRegion = region;
+      }
+    }
+  }
+
+  if (largestRegion === -1) {
+    return [];
+  }
+
+  return cropMazeMask(regionOf.map((row) => row.map((region) => region === largestRegion)));
+}
@@ -23,6 +23,11 @@ export function randomSignedOffset(amount, random = Math.random) {
   return (random() * 2 - 1) * amount;
 }
 
+export function createSubSeed(seed, purpose) {
+  const normalizedSeed = String(seed ?? "").trim();
+  return normalizedSeed ? `${normalizedSeed}:${purpose}` : "";
+}
+
 export function applyRandomDisplacementToVectors(vectors, {
   enabled = false,
   amount = 0,
@@ -33,7 +38,8 @@ export function applyRandomDisplacementToVectors(vectors, {
     return vectors;
   }
 
-  const random = createRandomGenerator(seed);
+  // Shapes draw their own choices from the same seed, so displacement gets a sequence of its own
+  const random = createRandomGenerator(createSubSeed(seed, "displacement"));
   vectors.forEach((vector) => {
     vector.x += randomSignedOffset(displacement, random);
     vector.y += randomSignedOffset(displacement, random);
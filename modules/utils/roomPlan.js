@@ -0,0 +1,409 @@
+/**
+ * Helpers for saving and sharing Room floor plans. A plan holds the drawing grid
+ * size, the generation settings and, per storey, the drawn cells ("x,z"), the
+ * marked edges ("h,x,z" north edges, "v,x,z" west edges) and the diagonal cells
+ * ("x,z,corner", naming the corner the 45° wall cuts away).
+ */
+
+import { DEFAULTS } from "./constants.js";
+
+export const ROOM_PLAN_FORMAT = "room-plan";
+// Version 2 added diagonal walls; version 1 plans and room1 codes load without any
+export const ROOM_PLAN_VERSION = 2;
+const ROOM_CODE_PREFIX = "room2:";
+const ROOM_CODE_PREFIXES = ["room1:", ROOM_CODE_PREFIX];
+
+// Allowed range of each numeric setting, matching Room.validateInput; the key
+// order is the order settings are packed into share codes
+const SETTING_RANGES = {
+  wallLength: [1, 20],
+  wallWidth: [1, 10],
+  wallHeight: [1, 20],
+  floorLength: [1, 20],
+  floorWidth: [1, 20],
+  storeys: [1, DEFAULTS.ROOM.MAX_STOREYS],
+  wallCourses: [1, DEFAULTS.ROOM.MAX_WALL_COURSES],
+};
+const SETTING_KEYS = Object.keys(SETTING_RANGES);
+const CELL_KEY_PATTERN = /^\d+,\d+$/;
+const EDGE_KEY_PATTERN = /^[hv],\d+,\d+$/;
+const DIAGONAL_KEY_PATTERN = /^\d+,\d+,(nw|ne|se|sw)$/;
+
+const SVG_CELL_SIZE = 24;
+const SVG_MARGIN = 24;
+const SVG_COLORS = {
+  cell: "#cfe3ff",
+  grid: "#dddddd",
+  wall: "#222222",
+  partition: "#555555",
+  door: "#ffaa00",
+  window: "#66ccff",
+  origin: "#00aa00",
+};
+// Cell corners as [name, x offset, z offset] in clockwise order
+const SVG_CORNERS = [
+  ["nw", 0, 0],
+  ["ne", 1, 0],
+  ["se", 1, 1],
+  ["sw", 0, 1],
+];
+const OPPOSITE_CORNERS = { nw: "se", ne: "sw", se: "nw", sw: "ne" };
+
+/**
+ * Builds a plan from Room drawing layers
+ * @param {Object} options
+ * @param {number} options.gridDivisions - Cells across the drawing grid
+ * @param {Array<Object>} options.storeyLayers - Room layers ({ selectedCells, wallOpenings, partitionEdges })
+ * @param {Object} options.settings - Room generation parameters
+ * @returns {Object} Plan ready for JSON.stringify
+ */
+export function createRoomPlan({ gridDivisions, storeyLayers, settings }) {
+  const layers = storeyLayers.slice();
+  // Trailing empty storeys carry nothing worth saving
+  while (layers.length > 1 && isEmptyLayer(layers[layers.length - 1])) {
+    layers.pop();
+  }
+
+  return {
+    format: ROOM_PLAN_FORMAT,
+    version: ROOM_PLAN_VERSION,
+    gridDivisions,
+    settings: {
+      ...Object.fromEntries(SETTING_KEYS.map((key) => [key, settings[key]])),
+      ceiling: Boolean(settings.ceiling),
+      pillars: Boolean(settings.pillars),
+    },
+    storeys: layers.map((layer) => ({
+      cells: Array.from(layer.selectedCells).sort(),
+      doors: getOpeningKeys(layer.wallOpenings, "door"),
+      windows: getOpeningKeys(layer.wallOpenings, "window"),
+      partitions: Array.from(layer.partitionEdges).sort(),
+      diagonals: Array.from(layer.diagonalCells, ([key, corner]) => `${key},${corner}`).sort(),
+    })),
+  };
+}
+
+/**
+ * Checks a plan read from a file or share code
+ * @param {Object} plan - Parsed plan
+ * @returns {Object} The same plan with defaults filled in
+ */
+export function validateRoomPlan(plan) {
+  if (!plan || plan.format !== ROOM_PLAN_FORMAT) {
+    throw new Error("This is not a Room floor plan");
+  }
+  if (plan.version > ROOM_PLAN_VERSION) {
+    throw new Error(`Room floor plan version ${plan.version} is newer than this tool supports`);
+  }
+  // The drawing grid has a size limit and keeps the origin on its middle line
+  if (
+    !Number.isInteger(plan.gridDivisions) ||
+    plan.gridDivisions < 2 ||
+    plan.gridDivisions > DEFAULTS.ROOM.MAX_GRID_DIVISIONS ||
+    plan.gridDivisions % 2 !== 0
+  ) {
+    throw new Error(`Room floor plan grid size must be an even number from 2 to ${DEFAULTS.ROOM.MAX_GRID_DIVISIONS}`);
+  }
+  if (!Array.isArray(plan.storeys) || plan.storeys.length === 0) {
+    throw new Error("Room floor plan has no storeys");
+  }
+  if (plan.storeys.length > DEFAULTS.ROOM.MAX_STOREYS) {
+    throw new Error(`Room floor plan has more than ${DEFAULTS.ROOM.MAX_STOREYS} storeys`);
+  }
+  const settings = checkSettings(plan.settings ?? {});
+
+  const storeys = plan.storeys.map((storey, index) => {
+    const cells = checkKeys(storey.cells, CELL_KEY_PATTERN, `storey ${index + 1} cells`);
+    const doors = checkKeys(storey.doors, EDGE_KEY_PATTERN, `storey ${index + 1} doors`);
+    const windows = checkKeys(storey.windows, EDGE_KEY_PATTERN, `storey ${index + 1} windows`);
+    const partitions = checkKeys(storey.partitions, EDGE_KEY_PATTERN, `storey ${index + 1} partitions`);
+    const diagonals = checkKeys(storey.diagonals, DIAGONAL_KEY_PATTERN, `storey ${index + 1} diagonals`);
+
+    // Edges on the far side of the last cell have index gridDivisions
+    const isOutside = (key, limit) =>
+      key
+        .split(",")
+        .slice(-2)
+        .some((value) => Number(value) > limit);
+    const outside =
+      cells.find((key) => isOutside(key, plan.gridDivisions - 1)) ||
+      diagonals.find((key) => isOutside(key.slice(0, key.lastIndexOf(",")), plan.gridDivisions - 1)) ||
+      [...doors, ...windows, ...partitions].find((key) => isOutside(key, plan.gridDivisions));
+    if (outside) {
+      throw new Error(`Room floor plan entry ${outside} is outside the ${plan.gridDivisions}-cell grid`);
+    }
+
+    return { cells, doors, windows, partitions, diagonals };
+  });
+
+  return { ...plan, settings, storeys };
+}
+
+/**
+ * Converts a plan back into Room drawing layers
+ * @param {Object} plan - Validated plan
+ * @returns {Array<Object>} Layers ({ selectedCells, wallOpenings, partitionEdges })
+ */
+export function roomPlanToLayers(plan) {
+  return plan.storeys.map((storey) => ({
+    selectedCells: new Set(storey.cells),
+    wallOpenings: new Map([
+      ...storey.doors.map((key) => [key, "door"]),
+      ...storey.windows.map((key) => [key, "window"]),
+    ]),
+    partitionEdges: new Set(storey.partitions),
+    diagonalCells: new Map(
+      storey.diagonals.map((key) => {
+        const split = key.lastIndexOf(",");
+        return [key.slice(0, split), key.slice(split + 1)];
+      })
+    ),
+  }));
+}
+
+/**
+ * Encodes a plan as a short text code for sharing in chat; cells are packed
+ * into a bitmask per storey
+ * @param {Object} plan - Room plan
+ * @returns {string} Share code
+ */
+export function encodeRoomPlan(plan) {
+  const { gridDivisions, settings } = plan;
+  const compact = {
+    g: gridDivisions,
+    s: [...SETTING_KEYS.map((key) => settings[key]), settings.ceiling ? 1 : 0, settings.pillars ? 1 : 0],
+    f: plan.storeys.map((storey) => [
+      packCells(storey.cells, gridDivisions),
+      storey.doors.join(";"),
+      storey.windows.join(";"),
+      storey.partitions.join(";"),
+      storey.diagonals.join(";"),
+    ]),
+  };
+
+  return ROOM_CODE_PREFIX + toBase64Url(JSON.stringify(compact));
+}
+
+/**
+ * Decodes a share code made by encodeRoomPlan
+ * @param {string} code - Share code
+ * @returns {Object} Validated plan
+ */
+export function decodeRoomPlan(code) {
+  const trimmed = String(code || "").trim();
+  const prefix = ROOM_CODE_PREFIXES.find((candidate) => trimmed.startsWith(candidate));
+  if (!prefix) {
+    throw new Error("This is not a Room floor plan code");
+  }
+
+  let compact;
+  try {
+    compact = JSON.parse(fromBase64Url(trimmed.slice(prefix.length)));
+  } catch (error) {
+    throw new Error("The Room floor plan code is damaged");
+  }
+
+  const splitKeys = (text) => (text ? text.split(";") : []);
+  const values = Array.isArray(compact.s) ? compact.s : [];
+
+  return validateRoomPlan({
+    format: ROOM_PLAN_FORMAT,
+    version: ROOM_PLAN_VERSION,
+    gridDivisions: compact.g,
+    settings: {
+      ...Object.fromEntries(SETTING_KEYS.map((key, index) => [key, values[index]])),
+      ceiling: values[SETTING_KEYS.length] === 1,
+      pillars: values[SETTING_KEYS.length + 1] === 1,
+    },
+    storeys: (compact.f || []).map(([cells, doors, windows, partitions, diagonals]) => ({
+      cells: unpackCells(cells, compact.g),
+      doors: splitKeys(doors),
+      windows: splitKeys(windows),
+      partitions: splitKeys(partitions),
+      diagonals: splitKeys(diagonals),
+    })),
+  });
+}
+
+/**
+ * Draws a plan as an SVG image, one panel per storey, north at the top
+ * @param {Object} plan - Room plan
+ * @returns {string} SVG markup
+ */
+export function roomPlanToSvg(plan) {
+  const { gridDivisions, settings } = plan;
+  const panelSize = gridDivisions * SVG_CELL_SIZE;
+  const width = plan.storeys.length * (panelSize + SVG_MARGIN) + SVG_MARGIN;
+  const height = panelSize + SVG_MARGIN * 2 + 20;
+  const parts = [];
+
+  plan.storeys.forEach((storey, index) => {
+    const left = SVG_MARGIN + index * (panelSize + SVG_MARGIN);
+    const top = SVG_MARGIN + 20;
+    const cells = new Set(storey.cells);
+    const diagonals = new Map(
+      storey.diagonals.map((key) => {
+        const split = key.lastIndexOf(",");
+        return [key.slice(0, split), key.slice(split + 1)];
+      })
+    );
+    const hasSide = (key, side) => cells.has(key) && !(diagonals.get(key) || "").includes(side);
+
+    parts.push(`<g transform="translate(${left} ${top})">`);
+    parts.push(`<text x="0" y="-8" font-family="sans-serif" font-size="14">Storey ${index + 1}</text>`);
+    parts.push(
+      `<rect width="${panelSize}" height="${panelSize}" fill="none" stroke="${SVG_COLORS.grid}" />`
+    );
+
+    cells.forEach((key) => {
+      const [x, z] = key.split(",").map(Number);
+      const corner = diagonals.get(key);
+      if (corner) {
+        // Half cell: the three corners left once the cut corner is removed
+        const points = SVG_CORNERS.filter(([name]) => name !== corner)
+          .map(([, dx, dz]) => `${(x + dx) * SVG_CELL_SIZE},${(z + dz) * SVG_CELL_SIZE}`)
+          .join(" ");
+        parts.push(`<polygon points="${points}" fill="${SVG_COLORS.cell}" stroke="${SVG_COLORS.grid}" />`);
+        return;
+      }
+      parts.push(
+        `<rect x="${x * SVG_CELL_SIZE}" y="${z * SVG_CELL_SIZE}" width="${SVG_CELL_SIZE}" height="${SVG_CELL_SIZE}" fill="${SVG_COLORS.cell}" stroke="${SVG_COLORS.grid}" />`
+      );
+    });
+
+    // Outer walls on every cell edge that borders an undrawn cell
+    const openings = new Map([
+      ...storey.doors.map((key) => [key, SVG_COLORS.door]),
+      ...storey.windows.map((key) => [key, SVG_COLORS.window]),
+    ]);
+    cells.forEach((key) => {
+      const [x, z] = key.split(",").map(Number);
+      [
+        [`h,${x},${z}`, hasSide(key, "n") && !hasSide(`${x},${z - 1}`, "s")],
+        [`h,${x},${z + 1}`, hasSide(key, "s") && !hasSide(`${x},${z + 1}`, "n")],
+        [`v,${x},${z}`, hasSide(key, "w") && !hasSide(`${x - 1},${z}`, "e")],
+        [`v,${x + 1},${z}`, hasSide(key, "e") && !hasSide(`${x + 1},${z}`, "w")],
+      ].forEach(([edgeKey, isPerimeter]) => {
+        if (isPerimeter) {
+          parts.push(svgEdge(edgeKey, openings.get(edgeKey) || SVG_COLORS.wall, 4));
+        }
+      });
+    });
+
+    // Diagonal walls join the two corners either side of the cut corner
+    diagonals.forEach((corner, key) => {
+      const [x, z] = key.split(",").map(Number);
+      const [[, x1, z1], [, x2, z2]] = SVG_CORNERS.filter(
+        ([name]) => name !== corner && name !== OPPOSITE_CORNERS[corner]
+      );
+      parts.push(
+        `<line x1="${(x + x1) * SVG_CELL_SIZE}" y1="${(z + z1) * SVG_CELL_SIZE}" x2="${(x + x2) * SVG_CELL_SIZE}" y2="${(z + z2) * SVG_CELL_SIZE}" stroke="${SVG_COLORS.wall}" stroke-width="4" />`
+      );
+    });
+
+    storey.partitions.forEach((edgeKey) => parts.push(svgEdge(edgeKey, SVG_COLORS.partition, 3)));
+
+    // The house centre sits on the middle grid line crossing
+    const centre = panelSize / 2;
+    parts.push(
+      `<path d="M${centre - 8} ${centre}H${centre + 8}M${centre} ${centre - 8}V${centre + 8}" stroke="${SVG_COLORS.origin}" stroke-width="2" />`
+    );
+    parts.push("</g>");
+  });
+
+  const caption =
+    `Wall length ${settings.wallLength}, floor tile ${settings.floorLength} x ${settings.floorWidth}, ` +
+    `${gridDivisions} x ${gridDivisions} grid`;
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `<rect width="${width}" height="${height}" fill="#ffffff" />`,
+    ...parts,
+    `<text x="${SVG_MARGIN}" y="${height - 8}" font-family="sans-serif" font-size="12" fill="#666666">${caption}</text>`,
+    "</svg>",
+  ].join("\n");
+}
+
+function isEmptyLayer(layer) {
+  return (
+    layer.selectedCells.size === 0 &&
+    layer.wallOpenings.size === 0 &&
+    layer.partitionEdges.size === 0 &&
+    layer.diagonalCells.size === 0
+  );
+}
+
+function getOpeningKeys(wallOpenings, kind) {
+  return Array.from(wallOpenings)
+    .filter(([, openingKind]) => openingKind === kind)
+    .map(([key]) => key)
+    .sort();
+}
+
+/**
+ * Checks the saved settings and keeps only the known ones; a missing number is
+ * left out, so the form keeps its current value
+ */
+function checkSettings(settings) {
+  if (typeof settings !== "object" || settings === null || Array.isArray(settings)) {
+    throw new Error("Room floor plan has invalid settings");
+  }
+
+  const checked = { ceiling: Boolean(settings.ceiling), pillars: Boolean(settings.pillars) };
+  Object.entries(SETTING_RANGES).forEach(([key, [min, max]]) => {
+    const value = settings[key];
+    if (value === undefined || value === null) return;
+    if (!Number.isFinite(value) || value < min || value > max) {
+      throw new Error(`Room floor plan setting ${key} must be a number from ${min} to ${max}`);
+    }
+    checked[key] = value;
+  });
+  return checked;
+}
+
+function checkKeys(keys, pattern, name) {
+  const list = keys ?? [];
+  if (!Array.isArray(list) || list.some((key) => typeof key !== "string" || !pattern.test(key))) {
+    throw new Error(`Room floor plan has invalid ${name}`);
+  }
+  return list;
+}
+
+function svgEdge(edgeKey, color, strokeWidth) {
+  const [orientation, x, z] = edgeKey.split(",");
+  const startX = Number(x) * SVG_CELL_SIZE;
+  const startZ = Number(z) * SVG_CELL_SIZE;
+  const endX = orientation === "h" ? startX + SVG_CELL_SIZE : startX;
+  const endZ = orientation === "h" ? startZ : startZ + SVG_CELL_SIZE;
+  return `<line x1="${startX}" y1="${startZ}" x2="${endX}" y2="${endZ}" stroke="${color}" stroke-width="${strokeWidth}" stroke-linecap="round" />`;
+}
+
+function packCells(cells, gridDivisions) {
+  const bytes = new Uint8Array(Math.ceil((gridDivisions * gridDivisions) / 8));
+  cells.forEach((key) => {
+    const [x, z] = key.split(",").map(Number);
+    const bit = z * gridDivisions + x;
+    bytes[bit >> 3] |= 1 << (bit & 7);
+  });
+  return toBase64Url(String.fromCharCode(...bytes));
+}
+
+function unpackCells(packed, gridDivisions) {
+  const bytes = fromBase64Url(packed || "");
+  const cells = [];
+  for (let bit = 0; bit < bytes.length * 8; bit++) {
+    if (bytes.charCodeAt(bit >> 3) & (1 << (bit & 7))) {
+      cells.push(`${bit % gridDivisions},${Math.floor(bit / gridDivisions)}`);
+    }
+  }
+  return cells;
+}
+
+function toBase64Url(binary) {
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+  const base64 = text.replace(/-/g, "+").replace(/_/g, "/");
+  return atob(base64 + "=".repeat((4 - (base64.length % 4)) % 4));
+}
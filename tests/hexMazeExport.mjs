@@ -0,0 +1,41 @@
+// Checks the MakePlace yaw of exported hex maze walls.
+// Run with `node tests/hexMazeExport.mjs` where the three package can be imported.
+import test from "node:test";
+import assert from "node:assert/strict";
+import * as THREE from "three";
+
+globalThis.THREE = THREE;
+
+const { HexMaze } = await import("../modules/mazes/HexMaze.js");
+const { FileHandlers } = await import("../modules/ui/FileHandlers.js");
+
+const design = { name: "Wall", transform: { location: [0, 0, 0], rotation: [0, 0, 0, 1], scale: [1, 1, 1] } };
+
+/**
+ * Keeps an angle in (0, PI], the range wall yaws are exported in
+ */
+const normalizeYaw = (angle) => angle - Math.PI * Math.ceil(angle / Math.PI - 1);
+
+test("a single hex cell exports each wall along its side", () => {
+  const maze = new HexMaze(new THREE.Scene());
+  maze.generate({ width: 1, height: 1, seed: "hex" });
+  const fileHandlers = new FileHandlers();
+
+  assert.equal(maze.walls.length, 6);
+
+  const yaws = new Set();
+  maze.walls.forEach((wall) => {
+    const [, , z, w] = fileHandlers.calculateRotation("hexMaze", wall, design);
+    const yaw = normalizeYaw(2 * Math.atan2(z, w));
+
+    // MakePlace X/Y are scene X/Z, so a side facing outward at this angle runs a quarter turn on
+    const outward = Math.atan2(wall.position.z, wall.position.x);
+    assert.ok(
+      Math.abs(yaw - normalizeYaw(outward + Math.PI / 2)) < 1e-9,
+      `wall at (${wall.position.x.toFixed(2)}, ${wall.position.z.toFixed(2)}) exports at ${yaw}`
+    );
+    yaws.add(yaw.toFixed(6));
+  });
+
+  assert.deepEqual([...yaws].sort(), [Math.PI / 6, Math.PI / 2, (5 * Math.PI) / 6].map((yaw) => yaw.toFixed(6)));
+});
@@ -9,6 +9,8 @@ import { CylinderSpiral } from './modules/shapes/CylinderSpiral.js';
 import { Grid } from './modules/shapes/Grid.js';
 import { ParticleField } from './modules/shapes/ParticleField.js';
 import { Room } from './modules/shapes/Room.js';
+import { CircularMaze } from './modules/mazes/CircularMaze.js';
+import { HexMaze } from './modules/mazes/HexMaze.js';
 
 /**
  * Legacy Wheel class that provides backward compatibility
@@ -28,6 +30,8 @@ export class Wheel {
     this.gridShape = new Grid(scene);
     this.particleFieldShape = new ParticleField(scene);
     this.roomShape = new Room(scene, camera);
+    this.circularMazeShape = new CircularMaze(scene);
+    this.hexMazeShape = new HexMaze(scene);
     
     // Current active shape
     this.currentShape = this.wheelShape;
@@ -111,7 +115,7 @@ export class Wheel {
     this.syncProperties();
   }
 
-  generateGrid(centerPoint, rows, columns, spacing, stepAmount, floors, randomDisplacement = null) {
+  generateGrid(centerPoint, rows, columns, spacing, stepAmount, floors, randomDisplacement = null, seed = "") {
     this.currentShape = this.gridShape;
     this.shapeType = "grid";
     this.gridShape.generate({
@@ -121,7 +125,8 @@ export class Wheel {
       spacing,
       stepAmount,
       floors,
-      randomDisplacement
+      randomDisplacement,
+      seed
     });
     this.syncProperties();
   }
@@ -190,6 +195,8 @@ export class Wheel {
     this.gridShape.clearPoints();
     this.particleFieldShape.clearPoints();
     this.roomShape.completeReset();
+    this.circularMazeShape.clearMaze();
+    this.hexMazeShape.clearMaze();
     
     // Reset legacy properties
     this.point1 = null;